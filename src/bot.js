@@ -0,0 +1,762 @@
+import { ChannelType, ActivityType, MessageFlags } from 'discord.js';
+import { DebateManager } from './services/debateManager.js';
+import { ProfileManager } from './services/profiles.js';
+import { GuildSettings, buildTriggers } from './services/guildSettings.js';
+import { EXHIBITION_PERSONAS, MODEL } from './services/ollama.js';
+import { logger } from './services/logger.js';
+import { commands } from './commands/index.js';
+import { joinButtonRow, factCheckButtonRow } from './commands/debate.js';
+import { buildScorecardEmbed } from './ui/scorecard.js';
+import { getFormat } from './services/formats.js';
+import { LiveMessage } from './ui/liveMessage.js';
+import { Moderator, topicRefusal } from './services/moderation.js';
+import { buildAuditEmbed } from './ui/auditLog.js';
+import { TranscriptStore } from './services/transcripts.js';
+import { DebateScheduler } from './services/scheduler.js';
+import { formatDuration } from './ui/format.js';
+
+const DISCORD_MAX_LENGTH = 2000;
+const EXHIBITION_VOTE_SECONDS = parseInt(process.env.EXHIBITION_VOTE_SECONDS || '30', 10);
+const AUDIENCE_VOTE_SECONDS = parseInt(process.env.AUDIENCE_VOTE_SECONDS || '30', 10);
+
+// Reactions for audience votes in formats like Oxford
+const AUDIENCE_EMOJIS = { opponent: '🧑', bot: '🤖' };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Split a message into chunks that fit Discord's limit
+ */
+function splitMessage(text, maxLength = DISCORD_MAX_LENGTH) {
+  if (text.length <= maxLength) return [text];
+
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > 0) {
+    if (remaining.length <= maxLength) {
+      chunks.push(remaining);
+      break;
+    }
+
+    // Try to split at a paragraph break
+    let splitIndex = remaining.lastIndexOf('\n\n', maxLength);
+    if (splitIndex === -1 || splitIndex < maxLength / 2) {
+      // Try to split at a sentence
+      splitIndex = remaining.lastIndexOf('. ', maxLength);
+      if (splitIndex === -1 || splitIndex < maxLength / 2) {
+        // Try to split at a space
+        splitIndex = remaining.lastIndexOf(' ', maxLength);
+        if (splitIndex === -1) {
+          splitIndex = maxLength;
+        }
+      }
+    }
+
+    chunks.push(remaining.substring(0, splitIndex + 1).trim());
+    remaining = remaining.substring(splitIndex + 1).trim();
+  }
+
+  return chunks;
+}
+
+/**
+ * Send a potentially long message as multiple chunks
+ */
+async function sendLongMessage(channel, text) {
+  const chunks = splitMessage(text);
+  for (const chunk of chunks) {
+    await channel.send(chunk);
+  }
+}
+
+// Bot status messages that shouldn't be fed back to the model as arguments
+const STATUS_PREFIXES = ['⚔️', '🏆', '🤝', '❌', '⚠️', '📢', '🗳️', '💭', '🔍', '🛡️', '⏰', '⏱️', '💤'];
+
+// Placeholder shown until a streamed response starts arriving
+const THINKING_PLACEHOLDER = '💭 *Thinking...*';
+
+// Shown in the placeholder while a turn waits in the generation queue
+const queuedText = (position) => `💭 *Queued - ${position === 1 ? "I'm up next" : `#${position} in line`}...*`;
+
+// Messages announcing why the bot won, keyed by the debate's end reason
+const VICTORY_MESSAGES = {
+  fallacies_detected: (names) => `Too many logical fallacies there, ${names}. Better luck next time!`,
+  opponent_inactive: (names) => `Looks like you've run out of arguments, ${names}. I'll take that as a concession!`,
+  victory_declared: (names) => `I think we're done here, ${names}. Better luck next time!`,
+  conceded: (names) => `${names} concedes. A wise choice.`,
+  format_complete: (names) => `That's the final bell, ${names}. The judge has spoken.`,
+};
+
+// Messages announcing why the bot lost, keyed by the debate's end reason
+const DEFEAT_MESSAGES = {
+  falsehoods_detected: (names) => `My facts didn't survive the fact-checks. The win goes to ${names}.`,
+};
+
+// End reasons where the judge decides who won, rather than a rule
+const JUDGED_REASONS = ['victory_declared', 'format_complete'];
+
+/**
+ * Count reactions on a ballot message, excluding the bot's own.
+ * `emojis` maps a result key to its emoji, e.g. { pro: '🟦', con: '🟥' }.
+ */
+async function tallyVotes(channel, messageId, emojis) {
+  const ballot = await channel.messages.fetch(messageId);
+  return Object.fromEntries(Object.entries(emojis).map(([key, emoji]) =>
+    [key, Math.max((ballot.reactions.cache.get(emoji)?.count || 1) - 1, 0)]));
+}
+
+async function announcePhase(channel, debate, phase) {
+  const { phases } = getFormat(debate.format);
+  const number = phases.indexOf(phase) + 1;
+  const turns = phase.turns === 1 ? '1 turn' : `${phase.turns} turns`;
+  const clock = phase.turnSeconds ? `, ${phase.turnSeconds}s per turn` : '';
+  await channel.send(`📢 **Phase ${number}/${phases.length}: ${phase.name}** (${turns}${clock}, max ${phase.maxLength} chars from me)`);
+}
+
+/**
+ * Fetch recent thread messages as chat history, oldest first (Discord allows up to 100)
+ */
+async function fetchHistory(channel, limit = 20) {
+  const threadMessages = await channel.messages.fetch({ limit });
+  return threadMessages
+    .reverse()
+    .filter(m => !STATUS_PREFIXES.some(prefix => m.content.startsWith(prefix)))
+    .map(m => ({
+      role: m.author.bot ? 'assistant' : 'user',
+      content: m.content,
+      author: m.author.username,
+    }));
+}
+
+/**
+ * Wire the debate bot to a discord.js client (or anything with the same events and shape).
+ * Managers can be passed in, e.g. with in-memory stores for tests; the rest are created here.
+ * Returns the managers and handlers so they can be driven directly.
+ */
+export function createBot(client, {
+  profileManager = new ProfileManager(),
+  guildSettings = new GuildSettings(),
+  moderator = new Moderator({ settings: guildSettings }),
+  debateManager = new DebateManager({ profiles: profileManager, settings: guildSettings, moderator }),
+  transcripts = new TranscriptStore(),
+} = {}) {
+  // An exhibition runs start to finish in one call, so one restored as active was cut off by a restart
+  for (const debate of debateManager.endInterruptedExhibitions()) {
+    transcripts.finish(debate);
+  }
+
+  // Moderation actions go to each guild's audit log channel
+  moderator.onFlag ??= entry => postAuditLog(entry);
+
+  // Reminds, times out and forfeits opponents who stop replying
+  const scheduler = new DebateScheduler({
+    debateManager,
+    settings: guildSettings,
+    onReminder: remindOpponents,
+    onForfeit: forfeitDebate,
+    onTurnExpired: expireTurn,
+  });
+
+  /**
+   * Token callback that streams into a live message. With moderation on there is none:
+   * the message keeps its placeholder or queue position until filterReply has passed the full reply.
+   * Replies held to a stance aren't streamed either (see DebateManager.generateConsistentReply).
+   */
+  function streamTo(live, prefix = '') {
+    if (moderator.enabled) return null;
+    return text => live.update(prefix + text);
+  }
+
+  async function handleReady() {
+    logger.info('bot', 'Bot logged in', {
+      tag: client.user.tag,
+      model: MODEL,
+      guilds: client.guilds.cache.size,
+    });
+
+    // Set bot presence/status
+    client.user.setPresence({
+      activities: [{ name: 'for "debate me"', type: ActivityType.Watching }],
+      status: 'online',
+    });
+
+    // Register slash commands
+    try {
+      await client.application.commands.set([...commands.values()].map(c => c.data.toJSON()));
+      logger.info('bot', 'Registered slash commands', { count: commands.size });
+    } catch (error) {
+      logger.error('bot', 'Failed to register slash commands', { error: error.message });
+    }
+
+    scheduler.start();
+    resumeConclusions();
+  }
+
+  /**
+   * Conclude debates a restart interrupted mid-conclusion, so they don't hold their slots forever.
+   * One whose thread is gone is ended without the judge or an announcement.
+   */
+  async function resumeConclusions() {
+    for (const { debate, reason } of debateManager.getInterruptedConclusions()) {
+      await logger.withContext({ guildId: debate.guildId, threadId: debate.threadId, debateId: debate.id }, async () => {
+        logger.debate('conclusion_resumed', { subject: debate.subject, reason });
+        const channel = await client.channels.fetch(debate.threadId).catch(() => null);
+        if (channel) {
+          await concludeDebate(channel, debate, reason);
+        } else {
+          debateManager.endDebate(debate.threadId, reason, DEFEAT_MESSAGES[reason] ? 'opponent' : 'bot');
+          transcripts.finish(debate);
+        }
+      }).catch(error => logger.error('debate', 'Failed to resume conclusion', { error: error.message }));
+    }
+  }
+
+  async function handleInteraction(interaction) {
+    const ctx = { debateManager, profileManager, guildSettings, moderator, transcripts, startDebate, concludeDebate };
+    let run;
+
+    const debate = debateManager.getDebate(interaction.channelId);
+    if (debate) logger.addContext({ threadId: debate.threadId, debateId: debate.id });
+
+    if (interaction.isChatInputCommand()) {
+      const command = commands.get(interaction.commandName);
+      if (!command) return;
+
+      logger.info('bot', 'Slash command', {
+        command: interaction.commandName,
+        sub: interaction.options.getSubcommand(false),
+        user: interaction.user.tag,
+      });
+      run = () => command.execute(interaction, ctx);
+    } else if (interaction.isButton()) {
+      const command = [...commands.values()].find(c => c.buttons?.[interaction.customId]);
+      if (!command) return;
+
+      logger.info('bot', 'Button', { id: interaction.customId, user: interaction.user.tag });
+      run = () => command.buttons[interaction.customId](interaction, ctx);
+    } else {
+      return;
+    }
+
+    try {
+      await run();
+    } catch (error) {
+      logger.error('bot', 'Interaction failed', { command: interaction.commandName || interaction.customId, error: error.message });
+      const reply = { content: 'Something went wrong running that command.', flags: MessageFlags.Ephemeral };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  }
+
+  async function handleMessage(message) {
+    // Ignore bot messages
+    if (message.author.bot) return;
+
+    // Log all incoming messages
+    logger.message(message);
+
+    // Check if this is in an active debate thread
+    if (message.channel.type === ChannelType.PublicThread ||
+        message.channel.type === ChannelType.PrivateThread) {
+      const debate = debateManager.getDebate(message.channel.id);
+      if (debate && debate.status === 'active' && debateManager.isParticipant(debate, message.author.id)) {
+        logger.addContext({ threadId: debate.threadId, debateId: debate.id });
+        logger.debate('reply_received', {
+          subject: debate.subject,
+          messageCount: debate.messages.length,
+        });
+        await handleDebateMessage(message, debate);
+        return;
+      }
+    }
+
+    // Only start new debates in channels the guild allows
+    if (!guildSettings.isChannelAllowed(message.guildId, message.channel.id)) return;
+
+    // Check for debate triggers in regular channels
+    const triggers = buildTriggers(guildSettings.get(message.guildId).triggers);
+    for (const trigger of triggers) {
+      const match = message.content.match(trigger);
+      if (match) {
+        const subject = match[1].trim();
+        logger.debate('trigger_matched', { trigger: trigger.source, subject });
+        await startDebate(message, subject);
+        return;
+      }
+    }
+
+    // Check for bot mention
+    if (message.mentions.has(client.user)) {
+      // Remove the mention and use the rest as the subject
+      const subject = message.content
+        .replace(new RegExp(`<@!?${client.user.id}>`, 'g'), '')
+        .trim();
+
+      if (subject.length > 0) {
+        logger.debate('trigger_matched', { trigger: 'mention', subject });
+        await startDebate(message, subject);
+      }
+    }
+  }
+
+  /**
+   * Post a moderation action to the guild's audit log channel, if it has one
+   */
+  async function postAuditLog(entry) {
+    const { auditChannel } = guildSettings.get(entry.guildId);
+    if (!auditChannel) return;
+
+    try {
+      const channel = await client.channels.fetch(auditChannel);
+      await channel.send({ embeds: [buildAuditEmbed(entry)] });
+    } catch (error) {
+      logger.error('moderation', 'Failed to post to audit log', { guildId: entry.guildId, error: error.message });
+    }
+  }
+
+  async function startDebate(message, subject, {
+    opponent = message.author,
+    userSide = null,
+    mode = 'standard',
+    rounds = null,
+    format = guildSettings.get(message.guildId).format,
+    topicChecked = false,
+  } = {}) {
+    let debate;
+    try {
+      logger.debate('starting', {
+        subject,
+        opponent: opponent.tag,
+        channel: message.channel.name,
+      });
+
+      // Check if message already has a thread
+      if (message.thread) {
+        logger.debug('debate', 'Thread already exists for this message');
+        return;
+      }
+
+      // The subject becomes a thread name, so screen it before anything is created
+      if (!topicChecked) {
+        const check = await moderator.checkTopic(subject, {
+          guildId: message.guildId,
+          channelId: message.channel.id,
+          userId: opponent.id,
+        });
+        if (!check.safe) {
+          await message.reply({ content: topicRefusal(check), allowedMentions: { repliedUser: false } });
+          return;
+        }
+      }
+
+      // Per-user and per-guild limits, checked before any thread is created
+      const reservation = debateManager.reserveDebate(message.guildId, opponent.id);
+      if (reservation.error) {
+        await message.reply({ content: `⏳ ${reservation.error}`, allowedMentions: { repliedUser: false } });
+        return;
+      }
+
+      // Create a thread for the debate
+      let thread;
+      try {
+        try {
+          thread = await message.startThread({
+            name: `Debate: ${subject.substring(0, 90)}`,
+            autoArchiveDuration: 60, // 1 hour (Discord minimum)
+          });
+        } catch (threadError) {
+          if (threadError.message.includes('thread has already been created')) {
+            logger.debug('debate', 'Thread already exists, skipping');
+            return;
+          }
+          throw threadError;
+        }
+
+        // Initialize the debate
+        debate = debateManager.createDebate(
+          thread.id,
+          opponent.id,
+          subject,
+          { guildId: message.guildId, userSide, participantName: opponent.username, mode, rounds, format }
+        );
+      } finally {
+        reservation.release();
+      }
+      logger.addContext({ threadId: thread.id, debateId: debate.id });
+      transcripts.start(debate);
+
+      logger.debate('thread_created', { threadId: thread.id, threadName: thread.name, mode, format });
+
+      if (mode === 'exhibition') {
+        await runExhibition(thread, debate);
+        return;
+      }
+
+      // Send opening message
+      const { name: formatName, description: formatDescription, phases, audienceVote } = getFormat(format);
+      const formatLine = phases ? `**Format:** ${formatName} - ${formatDescription}\n` : '';
+      await thread.send({
+        content: `⚔️ **DEBATE INITIATED** ⚔️\n\n**Subject:** ${subject}\n**Opponent:** ${opponent.username}${userSide ? ` (${userSide})` : ''}\n${formatLine}\nWant in? Join ${opponent.username}'s team below.\n\nPreparing my arguments...`,
+        components: [joinButtonRow()],
+      });
+
+      if (audienceVote) {
+        const ballot = await thread.send(`🗳️ **Audience vote (before)** - whose side are you on? React ${AUDIENCE_EMOJIS.opponent} for ${opponent.username} or ${AUDIENCE_EMOJIS.bot} for me. We'll vote again at the end.`);
+        await ballot.react(AUDIENCE_EMOJIS.opponent).catch(() => {});
+        await ballot.react(AUDIENCE_EMOJIS.bot).catch(() => {});
+        debate.audienceBallots = { before: ballot.id };
+        debateManager.saveDebate(debate);
+      }
+
+      // Stream the bot's opening argument into a placeholder message
+      logger.ollama('generating_opening', { subject });
+      const live = await new LiveMessage(thread, THINKING_PLACEHOLDER).start();
+      let openingArgument;
+      try {
+        openingArgument = await debateManager.generateResponse(debate, null, true, null, {
+          onToken: streamTo(live),
+          onQueued: position => live.update(queuedText(position)),
+        });
+      } catch (error) {
+        await live.discard();
+        throw error;
+      }
+      logger.ollama('opening_generated', { length: openingArgument.length });
+
+      await live.finish(splitMessage(openingArgument), { components: [factCheckButtonRow()] });
+      transcripts.addTurn(debate, { role: 'assistant', content: openingArgument, messageIds: live.messageIds });
+
+      if (phases) {
+        await announcePhase(thread, debate, phases[0]);
+      }
+
+      logger.debate('started', {
+        subject,
+        opponent: opponent.tag,
+        threadId: thread.id,
+      });
+    } catch (error) {
+      logger.error('debate', 'Failed to start debate', { error: error.message, subject });
+      // A debate the bot never opened is nobody's loss: end it without a result
+      if (debate && debateManager.cancelDebate(debate)) {
+        transcripts.finish(debate);
+      }
+      await message.reply('Failed to start the debate. Please try again.').catch(() => {});
+    }
+  }
+
+  /**
+   * Run the closing audience vote for formats that have one and report the swing
+   */
+  async function runAudienceVote(channel, debate) {
+    const ballot = await channel.send(`🗳️ **Audience vote (after)** - who convinced you? React ${AUDIENCE_EMOJIS.opponent} or ${AUDIENCE_EMOJIS.bot} (${AUDIENCE_VOTE_SECONDS}s)`);
+    await ballot.react(AUDIENCE_EMOJIS.opponent).catch(() => {});
+    await ballot.react(AUDIENCE_EMOJIS.bot).catch(() => {});
+    await sleep(AUDIENCE_VOTE_SECONDS * 1000);
+
+    const before = await tallyVotes(channel, debate.audienceBallots.before, AUDIENCE_EMOJIS)
+      .catch(() => ({ opponent: 0, bot: 0 }));
+    const after = await tallyVotes(channel, ballot.id, AUDIENCE_EMOJIS);
+
+    debate.audienceBallots.after = ballot.id;
+    debate.audience = { before, after };
+    debateManager.saveDebate(debate);
+    logger.debate('audience_vote', { subject: debate.subject, before, after });
+
+    const share = ({ opponent, bot }) => (opponent + bot > 0 ? Math.round((opponent / (opponent + bot)) * 100) : 50);
+    const swing = share(after) - share(before);
+    const swingText = swing === 0 ? 'no swing' : `${swing > 0 ? '+' : ''}${swing} points for ${AUDIENCE_EMOJIS.opponent}`;
+
+    await channel.send(`🗳️ Audience: before ${AUDIENCE_EMOJIS.opponent} ${before.opponent} - ${before.bot} ${AUDIENCE_EMOJIS.bot}, after ${AUDIENCE_EMOJIS.opponent} ${after.opponent} - ${after.bot} ${AUDIENCE_EMOJIS.bot} (${swingText})`);
+  }
+
+  /**
+   * Let two bot personas argue opposite sides for a fixed number of rounds,
+   * with a spectator reaction vote after each round and a closing verdict.
+   * An exhibition that fails part-way is ended with reason 'exhibition_failed' so it frees its slot.
+   */
+  async function runExhibition(thread, debate) {
+    try {
+      await playExhibition(thread, debate);
+    } finally {
+      if (debate.status !== 'ended') {
+        debateManager.endDebate(thread.id, 'exhibition_failed');
+        transcripts.finish(debate);
+        logger.debate('exhibition_failed', { subject: debate.subject, threadId: thread.id });
+      }
+    }
+  }
+
+  async function playExhibition(thread, debate) {
+    const { pro, con } = EXHIBITION_PERSONAS;
+
+    await thread.send(`⚔️ **EXHIBITION MATCH** ⚔️\n\n**Subject:** ${debate.subject}\n${pro.emoji} **${pro.name}** argues for\n${con.emoji} **${con.name}** argues against\n\n${debate.rounds} rounds. Vote after each round by reacting!`);
+
+    for (let round = 1; round <= debate.rounds; round++) {
+      for (const side of ['pro', 'con']) {
+        const persona = EXHIBITION_PERSONAS[side];
+        const prefix = `${persona.emoji} **${persona.name}:** `;
+        const live = await new LiveMessage(thread, `${prefix}💭`).start();
+
+        let response;
+        try {
+          response = await debateManager.generateExhibitionTurn(debate, side, {
+            onToken: streamTo(live, prefix),
+            onQueued: position => live.update(prefix + queuedText(position)),
+          });
+        } catch (error) {
+          await live.discard();
+          throw error;
+        }
+        logger.ollama('exhibition_turn', { round, side, length: response.length });
+
+        await live.finish(splitMessage(prefix + response));
+        transcripts.addTurn(debate, { role: 'assistant', author: persona.name, content: response, messageIds: live.messageIds });
+      }
+
+      // Spectators vote by reacting; the bot's own reactions don't count
+      const ballot = await thread.send(`🗳️ **Round ${round} of ${debate.rounds}** - who won it? React ${pro.emoji} or ${con.emoji} (${EXHIBITION_VOTE_SECONDS}s)`);
+      await ballot.react(pro.emoji).catch(() => {});
+      await ballot.react(con.emoji).catch(() => {});
+      await sleep(EXHIBITION_VOTE_SECONDS * 1000);
+
+      const votes = await tallyVotes(thread, ballot.id, { pro: pro.emoji, con: con.emoji });
+      debateManager.recordRoundVotes(debate, round, votes);
+      logger.debate('exhibition_round', { subject: debate.subject, round, ...votes });
+
+      await thread.send(`🗳️ Round ${round}: ${pro.emoji} ${votes.pro} - ${votes.con} ${con.emoji}`);
+    }
+
+    await thread.sendTyping().catch(() => {});
+    const { totals, verdict } = await debateManager.generateExhibitionVerdict(debate);
+
+    await sendLongMessage(thread, `🏆 **EXHIBITION CONCLUDED** 🏆\n\n**Audience:** ${pro.emoji} ${totals.pro} - ${totals.con} ${con.emoji}\n\n${verdict || 'The judge has no comment.'}`);
+    debateManager.endDebate(thread.id, 'exhibition_complete');
+    transcripts.finish(debate);
+
+    logger.debate('exhibition_complete', { subject: debate.subject, threadId: thread.id, ...totals });
+  }
+
+  /**
+   * End a debate: run the judge over the transcript, announce the result and post the scorecard.
+   * Fallacies, inactivity and concessions are losses for the opponent; failed fact-checks are a
+   * loss for the bot; a victory the bot claims mid-debate, or the end of a formatted debate, is up to the judge.
+   */
+  async function concludeDebate(channel, debate, reason) {
+    // A concession, fact-check or the turn clock can land while a turn is still generating; only the first ends it
+    if (debateManager.isEnding(debate)) return;
+    debateManager.concluding.add(debate.threadId);
+    try {
+      await announceConclusion(channel, debate, reason);
+    } finally {
+      debateManager.concluding.delete(debate.threadId);
+    }
+  }
+
+  async function announceConclusion(channel, debate, reason) {
+    const names = Object.values(debate.participants).map(p => p.username || 'friend').join(', ');
+
+    if (debate.audienceBallots?.before) {
+      await runAudienceVote(channel, debate).catch(error =>
+        logger.error('debate', 'Audience vote failed', { error: error.message }));
+    }
+
+    await channel.sendTyping().catch(() => {});
+    const history = await fetchHistory(channel, 100).catch(() => []);
+    const verdict = await debateManager.judgeDebate(debate, history);
+
+    let winner = 'bot';
+    if (JUDGED_REASONS.includes(reason)) winner = verdict?.winner || 'bot';
+    if (DEFEAT_MESSAGES[reason]) winner = 'opponent';
+
+    const outcomeText = {
+      bot: VICTORY_MESSAGES[reason]?.(names),
+      opponent: DEFEAT_MESSAGES[reason]?.(names) || `The judge overruled me. Well argued, ${names}.`,
+      draw: `The judge calls it a draw, ${names}. This isn't over.`,
+    }[winner];
+
+    logger.debate('concluded', {
+      subject: debate.subject,
+      reason,
+      winner,
+      fallacyCount: debate.fallacyCount,
+      participants: Object.keys(debate.participants).length,
+      turns: debate.messages.length,
+    });
+
+    await channel.send({
+      content: `\n🏆 **DEBATE CONCLUDED** 🏆\n\n${outcomeText}`,
+      embeds: verdict ? [buildScorecardEmbed(verdict, { subject: debate.subject, opponentLabel: names })] : [],
+    });
+    debateManager.endDebate(channel.id, reason, winner);
+    transcripts.finish(debate);
+  }
+
+  /**
+   * The team has gone quiet: ping everyone still in the debate
+   */
+  async function remindOpponents(debate, forfeitIn) {
+    const channel = await client.channels.fetch(debate.threadId);
+    const mentions = debateManager.getActiveParticipants(debate).map(p => `<@${p.userId}>`).join(' ');
+
+    logger.debate('idle_reminder', { subject: debate.subject });
+    await channel.send(`⏰ ${mentions} it's your turn! Reply within ${formatDuration(forfeitIn)} or the debate is forfeited.`);
+  }
+
+  /**
+   * Nobody replied in time: the bot wins by default and the thread is archived
+   */
+  async function forfeitDebate(debate, idle) {
+    const names = debateManager.getActiveParticipants(debate).map(p => p.username || 'friend').join(', ');
+
+    debateManager.forfeitDebate(debate);
+    transcripts.finish(debate);
+
+    // The thread may have been deleted; the debate is over either way
+    const channel = await client.channels.fetch(debate.threadId).catch(() => null);
+    if (!channel) return;
+
+    await channel.send(`💤 **DEBATE FORFEITED** 💤
+
+No reply from ${names} in ${formatDuration(idle)}. I'll take the win by default. This thread is now archived.`);
+    await channel.setArchived(true, 'Debate forfeited').catch(error =>
+      logger.warn('debate', 'Failed to archive thread', { error: error.message }));
+  }
+
+  /**
+   * A timed phase's clock ran out: the opponent loses the turn and the format moves on
+   */
+  async function expireTurn(debate, phase) {
+    const channel = await client.channels.fetch(debate.threadId);
+    const { changed, phase: next, complete } = debateManager.expireTurn(debate);
+
+    await channel.send(`⏱️ **Time's up!** No reply within ${phase.turnSeconds}s, so that turn is lost.`);
+    if (complete) {
+      await concludeDebate(channel, debate, 'format_complete');
+    } else if (changed) {
+      await announcePhase(channel, debate, next);
+    }
+  }
+
+  async function handleDebateMessage(message, debate) {
+    try {
+      // Fetch recent thread messages for context (before the placeholder is posted)
+      const messageHistory = await fetchHistory(message.channel);
+
+      // Stream the response into a placeholder message
+      logger.ollama('generating_response', {
+        subject: debate.subject,
+        historyCount: messageHistory.length,
+      });
+      const live = await new LiveMessage(message.channel, THINKING_PLACEHOLDER).start();
+      let response;
+      try {
+        response = await debateManager.generateResponse(debate, message.content, false, messageHistory, {
+          authorId: message.author.id,
+          messageId: message.id,
+          onToken: streamTo(live),
+          onQueued: position => live.update(queuedText(position)),
+        });
+      } catch (error) {
+        await live.discard();
+        throw error;
+      }
+      logger.ollama('response_generated', { length: response.length });
+
+      // The debate was concluded while this turn generated; the reply would land after the verdict
+      if (debateManager.isEnding(debate)) {
+        logger.debate('reply_dropped', { subject: debate.subject, status: debate.status });
+        await live.discard();
+        return;
+      }
+
+      // Show the opponent exactly what was flagged
+      const flagged = debateManager.getFlaggedFallacies(debate, message.id);
+      transcripts.addTurn(debate, {
+        role: 'user',
+        author: message.author.username,
+        authorId: message.author.id,
+        content: message.content,
+        messageId: message.id,
+        fallacies: flagged,
+      });
+      if (flagged.length > 0) {
+        const lines = flagged.map(f => `**${f.type}** (${f.severity}): "${f.quote}"\n> ${f.explanation}`);
+        await message.reply({
+          content: `⚠️ ${lines.join('\n')}`.substring(0, DISCORD_MAX_LENGTH),
+          allowedMentions: { repliedUser: false },
+        }).catch(() => {});
+      }
+
+      const participant = debate.participants[message.author.id];
+
+      // Check if the debate should end (every participant is out, or the bot claimed victory)
+      if (debate.status === 'won' || debate.victoryClaimed) {
+        const reason = debate.status === 'won' ? participant.eliminatedReason : 'victory_declared';
+
+        // An inactive opponent gave us nothing to rebut
+        if (reason !== 'opponent_inactive') {
+          await live.finish(splitMessage(response), { components: [factCheckButtonRow()] });
+          transcripts.addTurn(debate, { role: 'assistant', content: response, messageIds: live.messageIds });
+        } else {
+          await live.discard();
+        }
+        await concludeDebate(message.channel, debate, reason);
+        return;
+      }
+
+      await live.finish(splitMessage(response), { components: [factCheckButtonRow()] });
+      transcripts.addTurn(debate, { role: 'assistant', content: response, messageIds: live.messageIds });
+
+      // A team member is out but the rest of the team plays on
+      if (participant.status !== 'active') {
+        const remaining = debateManager.getActiveParticipants(debate).length;
+        const why = participant.eliminatedReason === 'fallacies_detected'
+          ? 'too many logical fallacies'
+          : 'ran out of arguments';
+        logger.debate('participant_eliminated', { subject: debate.subject, userId: message.author.id, reason: participant.eliminatedReason });
+        await message.channel.send(`❌ **${message.author.username}** is out (${why}). ${remaining} left on the team.`);
+      }
+
+      // Move formatted debates through their phases
+      const { changed, phase, complete } = debateManager.advancePhase(debate);
+      if (complete) {
+        await concludeDebate(message.channel, debate, 'format_complete');
+      } else if (changed) {
+        await announcePhase(message.channel, debate, phase);
+      }
+    } catch (error) {
+      logger.error('debate', 'Error generating response', {
+        error: error.message,
+        subject: debate.subject,
+      });
+      await message.channel.send('I encountered an error processing my argument. Please continue.');
+    }
+  }
+
+  // Each event gets its own log context, which handlers add the thread and debate IDs to
+  client.once('ready', handleReady);
+  client.on('interactionCreate', interaction =>
+    logger.withContext({ guildId: interaction.guildId }, () => handleInteraction(interaction)));
+  client.on('messageCreate', message =>
+    logger.withContext({ guildId: message.guildId }, () => handleMessage(message)));
+
+  return {
+    debateManager,
+    profileManager,
+    guildSettings,
+    moderator,
+    transcripts,
+    scheduler,
+    handleMessage,
+    handleInteraction,
+    resumeConclusions,
+    startDebate,
+    concludeDebate,
+    handleDebateMessage,
+  };
+}
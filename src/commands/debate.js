@@ -0,0 +1,372 @@
+import { SlashCommandBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } from 'discord.js';
+import { logger } from '../services/logger.js';
+import { formatDuration } from '../ui/format.js';
+import { FORMATS } from '../services/formats.js';
+import { topicRefusal } from '../services/moderation.js';
+import { exportTranscript } from '../ui/transcriptExport.js';
+import { isCorpusUrl } from '../services/webSearch.js';
+
+const DEFAULT_EXHIBITION_ROUNDS = parseInt(process.env.EXHIBITION_ROUNDS || '3', 10);
+
+export const data = new SlashCommandBuilder()
+  .setName('debate')
+  .setDescription('Start, concede or inspect debates')
+  .addSubcommand(sub => sub
+    .setName('start')
+    .setDescription('Start a debate in a new thread')
+    .addStringOption(opt => opt
+      .setName('topic')
+      .setDescription('What to debate')
+      .setRequired(true)
+      .setMaxLength(200))
+    .addStringOption(opt => opt
+      .setName('side')
+      .setDescription('Your side - the bot takes the other one')
+      .addChoices(
+        { name: 'pro', value: 'pro' },
+        { name: 'con', value: 'con' },
+      ))
+    .addStringOption(opt => opt
+      .setName('format')
+      .setDescription('Debate format (defaults to the server setting)')
+      .addChoices(...Object.entries(FORMATS).map(([id, f]) => ({ name: f.name, value: id })))))
+  .addSubcommand(sub => sub
+    .setName('exhibition')
+    .setDescription('Watch two bot personas debate each other')
+    .addStringOption(opt => opt
+      .setName('topic')
+      .setDescription('What they should debate')
+      .setRequired(true)
+      .setMaxLength(200))
+    .addIntegerOption(opt => opt
+      .setName('rounds')
+      .setDescription(`Number of rounds (default ${DEFAULT_EXHIBITION_ROUNDS})`)
+      .setMinValue(1)
+      .setMaxValue(10)))
+  .addSubcommand(sub => sub
+    .setName('join')
+    .setDescription("Join the team debating the bot in this thread"))
+  .addSubcommand(sub => sub
+    .setName('concede')
+    .setDescription('Concede the debate in this thread'))
+  .addSubcommand(sub => sub
+    .setName('status')
+    .setDescription('Show the state of the debate in this thread'))
+  .addSubcommand(sub => sub
+    .setName('list')
+    .setDescription('List active debates in this server'))
+  .addSubcommand(sub => sub
+    .setName('export')
+    .setDescription("Attach this thread's debate transcript as a file")
+    .addStringOption(opt => opt
+      .setName('format')
+      .setDescription('File format')
+      .setRequired(true)
+      .addChoices(
+        { name: 'Markdown', value: 'md' },
+        { name: 'HTML', value: 'html' },
+        { name: 'JSON', value: 'json' },
+      )));
+
+/**
+ * Button row attached to the opening message so others can join the team
+ */
+export function joinButtonRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('debate_join')
+      .setLabel('Join debate')
+      .setEmoji('🤝')
+      .setStyle(ButtonStyle.Primary),
+  );
+}
+
+/**
+ * Button row attached to each bot reply so anyone can challenge its claims
+ */
+export function factCheckButtonRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('debate_factcheck')
+      .setLabel('Fact-check')
+      .setEmoji('🔍')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+const VERDICT_LABELS = {
+  supported: '✅ Supported',
+  disputed: '❌ Disputed',
+  unsupported: '❔ Unsupported',
+};
+
+/**
+ * Reply with an ephemeral error if a new debate can't start in this channel
+ */
+async function rejectChannel(interaction, guildSettings) {
+  if (interaction.channel?.isThread()) {
+    await interaction.reply({
+      content: 'Start debates from a regular channel, not inside a thread.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return true;
+  }
+
+  if (!guildSettings.isChannelAllowed(interaction.guildId, interaction.channelId)) {
+    await interaction.reply({
+      content: "Debates aren't allowed in this channel.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Defer the reply while the moderator screens the topic (the model can take longer than
+ * Discord waits), and answer with a refusal if it's flagged. Nothing echoes the topic first.
+ */
+async function rejectTopic(interaction, moderator, topic) {
+  await interaction.deferReply();
+
+  const check = await moderator.checkTopic(topic, {
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    userId: interaction.user.id,
+  });
+  if (check.safe) return false;
+
+  await interaction.editReply(topicRefusal(check));
+  return true;
+}
+
+async function start(interaction, { startDebate, guildSettings, moderator }) {
+  const topic = interaction.options.getString('topic', true).trim();
+  const side = interaction.options.getString('side');
+  const format = interaction.options.getString('format') || undefined;
+
+  if (await rejectChannel(interaction, guildSettings)) return;
+  if (await rejectTopic(interaction, moderator, topic)) return;
+
+  logger.debate('trigger_matched', { trigger: 'slash_command', subject: topic, side, format });
+
+  const sideText = side ? ` (arguing **${side}**)` : '';
+  const starter = await interaction.editReply(`${interaction.user} wants to debate: **${topic}**${sideText}`);
+
+  await startDebate(starter, topic, { opponent: interaction.user, userSide: side, format, topicChecked: true });
+}
+
+async function exhibition(interaction, { startDebate, guildSettings, moderator }) {
+  const topic = interaction.options.getString('topic', true).trim();
+  const rounds = interaction.options.getInteger('rounds') || DEFAULT_EXHIBITION_ROUNDS;
+
+  if (await rejectChannel(interaction, guildSettings)) return;
+  if (await rejectTopic(interaction, moderator, topic)) return;
+
+  logger.debate('trigger_matched', { trigger: 'exhibition', subject: topic, rounds });
+
+  const starter = await interaction.editReply(`${interaction.user} started an exhibition match: **${topic}** (${rounds} rounds)`);
+
+  await startDebate(starter, topic, { opponent: interaction.user, mode: 'exhibition', rounds, topicChecked: true });
+}
+
+async function join(interaction, { debateManager }) {
+  const debate = debateManager.getDebate(interaction.channelId);
+
+  if (!debate) {
+    await interaction.reply({ content: 'There is no debate in this thread.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const error = debateManager.joinDebate(debate, interaction.user.id, interaction.user.username);
+  if (error) {
+    await interaction.reply({ content: error, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const team = debateManager.getActiveParticipants(debate).map(p => p.username).join(', ');
+  await interaction.reply(`🤝 **${interaction.user.username}** joins the debate! Team: ${team}`);
+}
+
+async function concede(interaction, { debateManager, concludeDebate }) {
+  const debate = debateManager.getDebate(interaction.channelId);
+
+  if (!debate || debate.status !== 'active') {
+    await interaction.reply({ content: 'There is no active debate in this thread.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!debateManager.isParticipant(debate, interaction.user.id)) {
+    await interaction.reply({ content: "You can't concede a debate you're not in.", flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  debateManager.eliminateParticipant(debate, interaction.user.id, 'conceded');
+
+  // The rest of the team plays on
+  if (debate.status === 'active') {
+    const remaining = debateManager.getActiveParticipants(debate).length;
+    await interaction.reply(`❌ **${interaction.user.username}** concedes. ${remaining} left on the team.`);
+    return;
+  }
+
+  await interaction.reply(`❌ **${interaction.user.username}** concedes.`);
+  await concludeDebate(interaction.channel, debate, 'conceded');
+}
+
+async function factCheck(interaction, { debateManager, guildSettings, transcripts, concludeDebate }) {
+  const debate = debateManager.getDebate(interaction.channelId);
+
+  if (!debate || debate.status !== 'active') {
+    await interaction.reply({ content: 'Fact-checks are only available while the debate is running.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // A long reply is split over several messages with the button on the last; check the whole turn
+  const turn = transcripts.findTurn(debate, interaction.message.id);
+  const reply = turn
+    ? { id: turn.messageId, content: turn.content }
+    : { id: interaction.message.id, content: interaction.message.content };
+  const previous = debateManager.getFactCheck(debate, reply.id);
+  if (previous) {
+    await interaction.reply({
+      content: `That reply was already checked: **${VERDICT_LABELS[previous.verdict]}**.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+  const check = await debateManager.factCheck(debate, reply.id, reply.content, interaction.user.id);
+
+  if (!check) {
+    await interaction.editReply("🔍 I couldn't complete that fact-check (or one is already running). Try again in a moment.");
+    return;
+  }
+  transcripts.addFactCheck(debate, reply.id, check);
+
+  const lines = check.claims.map(c => {
+    const link = c.source && (isCorpusUrl(c.source.url) ? `📚 ${c.source.title}` : `[${c.source.title}](<${c.source.url}>)`);
+    const source = link ? ` (${link})` : '';
+    return `${VERDICT_LABELS[c.verdict]}: "${c.claim}"\n> ${c.evidence || 'No evidence found.'}${source}`;
+  });
+  const body = lines.length > 0 ? lines.join('\n') : 'No checkable factual claims in that reply.';
+  const penalty = check.verdict === 'disputed'
+    ? `\n\nCaught out. Falsehoods: ${debate.falsehoodCount}/${guildSettings.get(debate.guildId).falsehoodThreshold}`
+    : '';
+
+  await interaction.editReply(
+    `🔍 **Fact-check** requested by ${interaction.user}: **${VERDICT_LABELS[check.verdict]}**\n\n${body}${penalty}`.substring(0, 2000),
+  );
+
+  if (debate.botRefuted) {
+    await concludeDebate(interaction.channel, debate, 'falsehoods_detected');
+  }
+}
+
+async function status(interaction, { debateManager }) {
+  const stats = debateManager.getDebateStats(interaction.channelId);
+
+  if (!stats) {
+    await interaction.reply({ content: 'There is no debate in this thread.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const lines = [
+    `**Subject:** ${stats.subject}`,
+    `**Status:** ${stats.status}`,
+    `**Format:** ${stats.format}${stats.phase ? ` - ${stats.phase}` : ''}`,
+    `**Fallacies detected:** ${stats.fallaciesDetected}`,
+    `**Bot falsehoods:** ${stats.falsehoodsDetected}/${stats.falsehoodThreshold}`,
+    `**Duration:** ${formatDuration(stats.duration)}`,
+    `**Research:** ${stats.usage.toolCalls} tool calls, ${stats.usage.tokens} tokens, ${Math.round(stats.usage.toolMs / 1000)}s`,
+    '',
+    '**Participants:**',
+    ...stats.participants.map(p =>
+      `• <@${p.userId}> - ${p.status}, ${p.fallacyCount} fallacies (score ${p.fallacyScore ?? p.fallacyCount}/${stats.fallacyThreshold}), ${p.opponentInactiveCount} weak replies`),
+  ];
+
+  await interaction.reply({ content: lines.join('\n'), flags: MessageFlags.Ephemeral });
+}
+
+async function list(interaction, { debateManager }) {
+  const debates = debateManager.getActiveDebates()
+    .filter(d => d.guildId === interaction.guildId);
+
+  if (debates.length === 0) {
+    await interaction.reply({ content: 'No active debates right now.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const lines = debates
+    .slice(0, 20)
+    .map(d => `• <#${d.threadId}> - ${d.subject} (vs <@${d.participantId}>)`);
+
+  if (debates.length > lines.length) {
+    lines.push(`...and ${debates.length - lines.length} more`);
+  }
+
+  await interaction.reply({
+    content: `⚔️ **Active debates (${debates.length})**\n\n${lines.join('\n')}`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function exportDebate(interaction, { debateManager, transcripts }) {
+  const debate = debateManager.getDebate(interaction.channelId);
+  let transcript = debate ? transcripts.get(debate.id) : transcripts.findByThread(interaction.channelId);
+
+  if (!transcript && !interaction.channel?.isThread()) {
+    await interaction.reply({ content: 'There is no debate transcript for this thread.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply();
+  // Debates from before transcripts were kept are rebuilt from what is still in the thread
+  transcript ??= await transcripts.fromThread(interaction.channel, debate);
+  if (!transcript) {
+    await interaction.editReply('There is no debate transcript for this thread.');
+    return;
+  }
+
+  const format = interaction.options.getString('format');
+  const { name, content } = exportTranscript(transcript, format);
+  const inProgress = transcript.rebuilt ? debate?.status === 'active' : !transcript.outcome;
+  const notes = [
+    `${transcript.turns.length} ${transcript.rebuilt ? 'messages' : 'turns'}`,
+    ...(inProgress ? ['still in progress'] : []),
+    ...(transcript.rebuilt ? ['rebuilt from the thread without fallacies or fact-checks'] : []),
+  ];
+
+  await interaction.editReply({
+    content: `📄 Transcript of **${transcript.subject}** (${notes.join(', ')})`,
+    files: [new AttachmentBuilder(Buffer.from(content), { name })],
+  });
+  logger.debate('transcript_exported', { subject: transcript.subject, format, turns: transcript.turns.length });
+}
+
+export async function execute(interaction, ctx) {
+  switch (interaction.options.getSubcommand()) {
+    case 'start':
+      return start(interaction, ctx);
+    case 'exhibition':
+      return exhibition(interaction, ctx);
+    case 'join':
+      return join(interaction, ctx);
+    case 'concede':
+      return concede(interaction, ctx);
+    case 'status':
+      return status(interaction, ctx);
+    case 'list':
+      return list(interaction, ctx);
+    case 'export':
+      return exportDebate(interaction, ctx);
+  }
+}
+
+// Button handlers keyed by custom ID
+export const buttons = {
+  debate_join: join,
+  debate_factcheck: factCheck,
+};
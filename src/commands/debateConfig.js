@@ -0,0 +1,131 @@
+import { SlashCommandBuilder, PermissionFlagsBits, MessageFlags, ChannelType } from 'discord.js';
+import { SETTING_TYPES, parseSettingValue } from '../services/guildSettings.js';
+import { PERSONAS } from '../services/ollama.js';
+import { getFormat } from '../services/formats.js';
+
+const SETTING_CHOICES = Object.keys(SETTING_TYPES).map(key => ({ name: key, value: key }));
+
+export const data = new SlashCommandBuilder()
+  .setName('debate-config')
+  .setDescription('View or change debate settings for this server')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand(sub => sub
+    .setName('view')
+    .setDescription('Show the current settings'))
+  .addSubcommand(sub => sub
+    .setName('set')
+    .setDescription('Change a setting')
+    .addStringOption(opt => opt
+      .setName('setting')
+      .setDescription('Which setting to change')
+      .setRequired(true)
+      .addChoices(...SETTING_CHOICES))
+    .addStringOption(opt => opt
+      .setName('value')
+      .setDescription('New value (comma-separated for triggers and blocklist)')
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('reset')
+    .setDescription('Reset one setting, or all of them, to the default')
+    .addStringOption(opt => opt
+      .setName('setting')
+      .setDescription('Which setting to reset (omit for all)')
+      .addChoices(...SETTING_CHOICES)))
+  .addSubcommand(sub => sub
+    .setName('channel')
+    .setDescription('Allow or disallow debates in a channel')
+    .addStringOption(opt => opt
+      .setName('action')
+      .setDescription('Allow or remove the channel')
+      .setRequired(true)
+      .addChoices(
+        { name: 'allow', value: 'allow' },
+        { name: 'remove', value: 'remove' },
+      ))
+    .addChannelOption(opt => opt
+      .setName('channel')
+      .setDescription('The channel')
+      .setRequired(true)
+      .addChannelTypes(ChannelType.GuildText)))
+  .addSubcommand(sub => sub
+    .setName('audit-log')
+    .setDescription('Log moderation actions to a channel')
+    .addChannelOption(opt => opt
+      .setName('channel')
+      .setDescription('The channel (omit to turn the audit log off)')
+      .addChannelTypes(ChannelType.GuildText)));
+
+function formatSettings(settings) {
+  const channels = settings.allowedChannels.length > 0
+    ? settings.allowedChannels.map(id => `<#${id}>`).join(', ')
+    : 'all channels';
+
+  return [
+    '⚙️ **Debate settings**',
+    '',
+    `**persona:** ${settings.persona} - ${PERSONAS[settings.persona]?.description || 'unknown'}`,
+    `**format:** ${getFormat(settings.format).name}`,
+    `**fallacyThreshold:** ${settings.fallacyThreshold}`,
+    `**weakArgumentThreshold:** ${settings.weakArgumentThreshold}`,
+    `**falsehoodThreshold:** ${settings.falsehoodThreshold}`,
+    `**idleReminderMinutes:** ${settings.idleReminderMinutes}`,
+    `**idleForfeitMinutes:** ${settings.idleForfeitMinutes}`,
+    `**maxLength:** ${settings.maxLength}`,
+    `**model:** ${settings.model}`,
+    `**triggers:** ${settings.triggers.map(t => `"${t}"`).join(', ')}`,
+    `**channels:** ${channels}`,
+    `**blocklist:** ${settings.blocklist.length} server terms`,
+    `**audit log:** ${settings.auditChannel ? `<#${settings.auditChannel}>` : 'off'}`,
+  ].join('\n');
+}
+
+export async function execute(interaction, { guildSettings }) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: 'Settings only exist in servers.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // setDefaultMemberPermissions can be overridden by server admins, so check again
+  if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: 'You need the Manage Server permission to do that.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const guildId = interaction.guildId;
+  let settings;
+
+  switch (interaction.options.getSubcommand()) {
+    case 'view':
+      settings = guildSettings.get(guildId);
+      break;
+
+    case 'set': {
+      const key = interaction.options.getString('setting', true);
+      const { value, error } = parseSettingValue(key, interaction.options.getString('value', true));
+      if (error) {
+        await interaction.reply({ content: error, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      settings = guildSettings.set(guildId, key, value);
+      break;
+    }
+
+    case 'reset':
+      settings = guildSettings.reset(guildId, interaction.options.getString('setting'));
+      break;
+
+    case 'channel': {
+      const action = interaction.options.getString('action', true);
+      const channel = interaction.options.getChannel('channel', true);
+      const current = guildSettings.get(guildId).allowedChannels.filter(id => id !== channel.id);
+      settings = guildSettings.set(guildId, 'allowedChannels', action === 'allow' ? [...current, channel.id] : current);
+      break;
+    }
+
+    case 'audit-log':
+      settings = guildSettings.set(guildId, 'auditChannel', interaction.options.getChannel('channel')?.id || null);
+      break;
+  }
+
+  await interaction.reply({ content: formatSettings(settings), flags: MessageFlags.Ephemeral });
+}
@@ -0,0 +1,9 @@
+import * as debate from './debate.js';
+import * as debateConfig from './debateConfig.js';
+import * as leaderboard from './leaderboard.js';
+import * as profile from './profile.js';
+
+// Slash commands keyed by name
+export const commands = new Map(
+  [debate, debateConfig, leaderboard, profile].map(command => [command.data.name, command])
+);
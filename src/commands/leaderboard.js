@@ -0,0 +1,32 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setDescription('Top debaters in this server by rating');
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+export async function execute(interaction, { profileManager }) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: 'Leaderboards only exist in servers.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const top = profileManager.getLeaderboard(interaction.guildId);
+
+  if (top.length === 0) {
+    await interaction.reply({ content: 'Nobody has finished a debate here yet. Be the first!', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const lines = top.map((p, i) =>
+    `${MEDALS[i] || `**${i + 1}.**`} <@${p.userId}> - **${p.rating}** (${p.wins}W ${p.losses + p.concessions + p.abandonments}L ${p.draws}D)`);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🏆 Debate Leaderboard')
+    .setDescription(lines.join('\n'))
+    .setColor(0xf1c40f)
+    .setFooter({ text: 'Ratings are Elo against the bot' });
+
+  await interaction.reply({ embeds: [embed] });
+}
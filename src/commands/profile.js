@@ -0,0 +1,55 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { formatDuration } from '../ui/format.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('profile')
+  .setDescription("Show a user's debate record")
+  .addUserOption(opt => opt
+    .setName('user')
+    .setDescription('Whose profile to show (defaults to you)'));
+
+const OUTCOME_EMOJI = { win: '✅', loss: '❌', draw: '🤝', concession: '🏳️', abandonment: '💤' };
+
+export async function execute(interaction, { profileManager }) {
+  const user = interaction.options.getUser('user') || interaction.user;
+
+  if (!interaction.guildId) {
+    await interaction.reply({ content: 'Profiles only exist in servers.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const profile = profileManager.getProfile(interaction.guildId, user.id);
+
+  if (!profile) {
+    await interaction.reply({ content: `${user.username} hasn't finished a debate here yet.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const total = profile.wins + profile.losses + profile.draws + profile.concessions + profile.abandonments;
+  const winRate = total > 0 ? Math.round((profile.wins / total) * 100) : 0;
+
+  const recent = profile.history.slice(0, 5).map(h => {
+    const change = h.ratingChange >= 0 ? `+${h.ratingChange}` : `${h.ratingChange}`;
+    return `${OUTCOME_EMOJI[h.outcome]} ${h.subject.substring(0, 60)} - ${formatDuration(h.durationMs)}, ${h.fallacies} fallacies (${change})`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📊 ${user.username}`)
+    .setThumbnail(user.displayAvatarURL())
+    .setColor(0x3498db)
+    .addFields(
+      { name: 'Rating', value: `**${profile.rating}**`, inline: true },
+      { name: 'Win rate', value: `${winRate}% of ${total}`, inline: true },
+      {
+        name: 'Record',
+        value: `${profile.wins}W ${profile.losses}L ${profile.draws}D\n${profile.concessions} conceded, ${profile.abandonments} abandoned`,
+        inline: true,
+      },
+    );
+
+  if (recent.length > 0) {
+    embed.addFields({ name: 'Recent debates', value: recent.join('\n') });
+  }
+
+  await interaction.reply({ embeds: [embed] });
+}
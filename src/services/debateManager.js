@@ -1,28 +1,166 @@
-import { generateDebateResponse, generateOpeningArgument, analyzeForFallacies } from './ollama.js';
+import { randomUUID } from 'node:crypto';
+import {
+  generateDebateResponse,
+  generateOpeningArgument,
+  analyzeForFallacies,
+  generateExhibitionVerdict,
+  judgeDebate,
+  factCheckReply,
+  summarizeDebate,
+  extractStance,
+  checkStance,
+  EXHIBITION_PERSONAS,
+} from './ollama.js';
 import { logger } from './logger.js';
+import { createStore } from './storage.js';
+import { ProfileManager } from './profiles.js';
+import { GuildSettings } from './guildSettings.js';
+import { Moderator } from './moderation.js';
+import { GenerationQueue } from './generationQueue.js';
+import { getFormat, DEFAULT_FORMAT } from './formats.js';
+import { ToolBudget } from './toolBudget.js';
 
-const FALLACY_THRESHOLD = 3;  // Fewer fallacies needed - be aggressive
+const FALLACY_WEIGHTS = { minor: 0.5, moderate: 1, major: 1.5 };
 const MIN_RESPONSE_LENGTH = 20;
-const WEAK_ARGUMENT_THRESHOLD = 2;  // Consecutive weak responses = loss
+const MAX_PARTICIPANTS = 5;
+
+// Abuse limits on starting debates. Active counts exclude ended debates; hourly counts include them.
+const LIMITS = {
+  userActive: parseInt(process.env.MAX_ACTIVE_DEBATES_PER_USER || '2', 10),
+  guildActive: parseInt(process.env.MAX_ACTIVE_DEBATES_PER_GUILD || '10', 10),
+  userHourly: parseInt(process.env.MAX_DEBATES_PER_USER_PER_HOUR || '5', 10),
+  guildHourly: parseInt(process.env.MAX_DEBATES_PER_GUILD_PER_HOUR || '30', 10),
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+// Redrafts allowed when a reply contradicts the bot's stance
+const MAX_STANCE_RETRIES = 2;
+
+// Fold new turns into the rolling summary once this many have built up
+const SUMMARY_EVERY_TURNS = parseInt(process.env.SUMMARY_EVERY_TURNS || '4', 10);
 
 export class DebateManager {
-  constructor() {
-    this.debates = new Map();
+  constructor({
+    store = createStore('debates'),
+    profiles = new ProfileManager(),
+    settings = new GuildSettings(),
+    moderator = new Moderator({ settings }),
+    queue = new GenerationQueue(),
+  } = {}) {
+    // Ended debates stay in the store as history
+    this.debates = store;
+    this.profiles = profiles;
+    this.settings = settings;
+    this.moderator = moderator;
+    this.queue = queue;
+    // Debates that passed the limit check but don't exist yet
+    this.pendingStarts = new Set();
+    // Tool results per debate, so repeated searches aren't re-run (not persisted)
+    this.toolCaches = new Map();
+    // Bot replies currently being fact-checked, keyed by message ID
+    this.pendingFactChecks = new Set();
+    // Debates whose summary is being updated, keyed by thread ID
+    this.pendingSummaries = new Set();
+    // Debates with a bot turn queued or generating, keyed by thread ID
+    this.pendingTurns = new Set();
+    // Stance extractions still running after the opening, keyed by thread ID
+    this.pendingStances = new Map();
+    // Debates being judged and announced, keyed by thread ID
+    this.concluding = new Set();
+
+    // Debates stored before team support only tracked a single participant,
+    // and older ones have no ID of their own
+    for (const debate of this.debates.values()) {
+      if (!debate.participants) {
+        debate.participants = {
+          [debate.participantId]: this.createParticipant(debate.participantId, null, debate),
+        };
+        this.saveDebate(debate);
+      }
+      if (!debate.id) {
+        debate.id = randomUUID();
+        this.saveDebate(debate);
+      }
+    }
+
+    const active = this.getActiveDebates();
+    if (active.length > 0) {
+      logger.info('debate', 'Restored active debates', { count: active.length });
+    }
+  }
+
+  /**
+   * Check the abuse limits for a user starting a debate, and hold a slot while the thread is created.
+   * Returns { error } if a limit is hit, otherwise { release } to call once the debate exists (or failed).
+   */
+  reserveDebate(guildId, userId) {
+    const since = Date.now() - HOUR_MS;
+    const debates = [...this.debates.values(), ...this.pendingStarts]
+      .filter(d => d.guildId === guildId);
+    const active = debates.filter(d => d.status !== 'ended');
+    const recent = debates.filter(d => d.createdAt > since);
+    const mine = (list) => list.filter(d => d.participantId === userId).length;
+
+    let error = null;
+    if (mine(active) >= LIMITS.userActive) {
+      error = `You already have ${LIMITS.userActive} debates going. Finish or concede one first.`;
+    } else if (active.length >= LIMITS.guildActive) {
+      error = `This server already has ${LIMITS.guildActive} debates going. Try again when one wraps up.`;
+    } else if (mine(recent) >= LIMITS.userHourly) {
+      error = `You've started ${LIMITS.userHourly} debates in the last hour. Take a breather and try again later.`;
+    } else if (recent.length >= LIMITS.guildHourly) {
+      error = `This server has hit its limit of ${LIMITS.guildHourly} debates an hour. Try again later.`;
+    }
+
+    if (error) {
+      logger.debate('limit_hit', { guildId, userId, error });
+      return { error };
+    }
+
+    const pending = { guildId, participantId: userId, status: 'active', createdAt: Date.now() };
+    this.pendingStarts.add(pending);
+    return { release: () => this.pendingStarts.delete(pending) };
   }
 
-  createDebate(threadId, participantId, subject) {
+  createDebate(threadId, participantId, subject, {
+    guildId = null,
+    userSide = null,
+    participantName = null,
+    mode = 'standard',
+    rounds = null,
+    format = DEFAULT_FORMAT,
+  } = {}) {
     const debate = {
+      id: randomUUID(),
       threadId,
+      guildId,
       participantId,
+      // Exhibitions are bot-vs-bot; the user who started one only watches
+      participants: mode === 'exhibition'
+        ? {}
+        : { [participantId]: this.createParticipant(participantId, participantName) },
       subject,
+      userSide,
+      mode,
+      format,
+      phaseIndex: 0,
+      phaseTurn: 0,
       messages: [],
       status: 'active',
       fallacyCount: 0,
-      opponentInactiveCount: 0,
+      fallacies: [],
+      falsehoodCount: 0,
+      factChecks: [],
+      usage: { toolCalls: 0, tokens: 0, toolMs: 0 },
       createdAt: Date.now(),
       lastActivity: Date.now(),
     };
 
+    if (mode === 'exhibition') {
+      debate.rounds = rounds;
+      debate.votes = [];
+    }
+
     this.debates.set(threadId, debate);
     return debate;
   }
@@ -31,57 +169,559 @@ export class DebateManager {
     return this.debates.get(threadId);
   }
 
-  endDebate(threadId) {
+  createParticipant(userId, username, { fallacyCount = 0, opponentInactiveCount = 0 } = {}) {
+    return {
+      userId,
+      username,
+      status: 'active',
+      fallacyCount,
+      fallacyScore: fallacyCount,
+      opponentInactiveCount,
+      joinedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Add a user to a debate's team. Returns an error string if they can't join.
+   */
+  joinDebate(debate, userId, username) {
+    if (debate.status !== 'active') return 'This debate is over.';
+    if (debate.mode === 'exhibition') return 'Exhibitions are bot-vs-bot - just watch and vote!';
+    if (debate.participants[userId]) return "You're already in this debate.";
+    if (Object.keys(debate.participants).length >= MAX_PARTICIPANTS) {
+      return `This debate already has ${MAX_PARTICIPANTS} participants.`;
+    }
+
+    debate.participants[userId] = this.createParticipant(userId, username);
+    this.saveDebate(debate);
+    logger.debate('participant_joined', { subject: debate.subject, userId, team: Object.keys(debate.participants).length });
+    return null;
+  }
+
+  isParticipant(debate, userId) {
+    return debate.participants[userId]?.status === 'active';
+  }
+
+  getActiveParticipants(debate) {
+    return Object.values(debate.participants).filter(p => p.status === 'active');
+  }
+
+  /**
+   * Take a participant out of the debate. The bot wins once nobody is left.
+   */
+  eliminateParticipant(debate, userId, reason) {
+    const participant = debate.participants[userId];
+    if (!participant || participant.status !== 'active') return;
+
+    participant.status = reason === 'conceded' ? 'conceded' : 'eliminated';
+    participant.eliminatedReason = reason;
+    participant.eliminatedAt = Date.now();
+
+    if (this.getActiveParticipants(debate).length === 0) {
+      debate.status = 'won';
+    }
+
+    this.saveDebate(debate);
+  }
+
+  /**
+   * End a debate nobody is replying to: everyone left on the team abandons it and the bot wins
+   */
+  forfeitDebate(debate) {
+    for (const participant of this.getActiveParticipants(debate)) {
+      this.eliminateParticipant(debate, participant.userId, 'abandoned');
+    }
+    this.endDebate(debate.threadId, 'abandoned', 'bot');
+    logger.debate('forfeited', { subject: debate.subject });
+  }
+
+  /**
+   * The opponent ran out a timed phase's clock: the turn is lost and counts against the phase.
+   * Returns the same as advancePhase.
+   */
+  expireTurn(debate) {
+    debate.lastActivity = Date.now();
+    logger.debate('turn_expired', { subject: debate.subject, phase: this.getPhase(debate)?.id });
+    return this.advancePhase(debate);
+  }
+
+  /**
+   * True once a debate is over or its conclusion has started; nothing more should be posted to it
+   */
+  isEnding(debate) {
+    return debate.status === 'ended' || this.concluding.has(debate.threadId);
+  }
+
+  /**
+   * Drop ended debates that finished before `before` (transcripts and profiles keep the record).
+   * Returns how many were removed.
+   */
+  evictEnded(before) {
+    let evicted = 0;
+    for (const [threadId, debate] of this.debates.entries()) {
+      if (debate.status === 'ended' && (debate.endedAt || debate.lastActivity) < before) {
+        this.debates.delete(threadId);
+        this.toolCaches.delete(threadId);
+        evicted++;
+      }
+    }
+    if (evicted > 0) logger.info('debate', 'Evicted ended debates', { count: evicted });
+    return evicted;
+  }
+
+  /**
+   * Current phase of a formatted debate, or null for open debates and finished formats
+   */
+  getPhase(debate) {
+    const { phases } = getFormat(debate.format);
+    if (!phases) return null;
+    return phases[debate.phaseIndex || 0] || null;
+  }
+
+  /**
+   * Count an opponent turn against the current phase and move on when it's used up.
+   * Returns { changed, phase, complete }; phase is the new phase when it changed.
+   */
+  advancePhase(debate) {
+    const { phases } = getFormat(debate.format);
+    if (!phases) return { changed: false, phase: null, complete: false };
+
+    debate.phaseTurn = (debate.phaseTurn || 0) + 1;
+    const current = phases[debate.phaseIndex || 0];
+
+    if (!current || debate.phaseTurn < current.turns) {
+      this.saveDebate(debate);
+      return { changed: false, phase: current || null, complete: !current };
+    }
+
+    debate.phaseIndex = (debate.phaseIndex || 0) + 1;
+    debate.phaseTurn = 0;
+    this.saveDebate(debate);
+
+    const next = phases[debate.phaseIndex] || null;
+    logger.debate('phase_changed', { subject: debate.subject, phase: next?.id || 'complete' });
+    return { changed: true, phase: next, complete: !next };
+  }
+
+  /**
+   * Tool loop budget for a debate; usage counts are kept on the debate
+   */
+  getToolBudget(debate) {
+    debate.usage = debate.usage || { toolCalls: 0, tokens: 0, toolMs: 0 };
+    if (!this.toolCaches.has(debate.threadId)) {
+      this.toolCaches.set(debate.threadId, new Map());
+    }
+    return new ToolBudget({ usage: debate.usage, cache: this.toolCaches.get(debate.threadId) });
+  }
+
+  /**
+   * Persist changes made to a debate object
+   */
+  saveDebate(debate) {
+    this.debates.set(debate.threadId, debate);
+  }
+
+  endDebate(threadId, reason = null, winner = null) {
     const debate = this.debates.get(threadId);
-    if (debate) {
+    if (debate && debate.status !== 'ended') {
       debate.status = 'ended';
-      setTimeout(() => this.debates.delete(threadId), 3600000);
+      debate.endReason = reason;
+      debate.winner = winner;
+      debate.endedAt = Date.now();
+      this.saveDebate(debate);
+      this.toolCaches.delete(threadId);
+      this.profiles.recordDebate(debate);
+    }
+  }
+
+  /**
+   * End a debate whose opening never got posted, with reason 'failed_to_start'. Nobody got to argue,
+   * so unlike endDebate nothing goes on the profiles. Returns false if the bot has already taken a turn.
+   */
+  cancelDebate(debate) {
+    if (debate.status === 'ended' || this.hasOpened(debate)) return false;
+
+    debate.status = 'ended';
+    debate.endReason = 'failed_to_start';
+    debate.winner = null;
+    debate.endedAt = Date.now();
+    this.saveDebate(debate);
+    this.toolCaches.delete(debate.threadId);
+    logger.debate('cancelled', { subject: debate.subject, threadId: debate.threadId });
+    return true;
+  }
+
+  hasOpened(debate) {
+    return debate.messages.some(m => m.role === 'assistant');
+  }
+
+  /**
+   * Debates a restart caught after they were decided but before they were concluded: everyone
+   * was eliminated (status 'won') or the bot claimed victory. Returns [{ debate, reason }].
+   */
+  getInterruptedConclusions() {
+    return [...this.debates.values()]
+      .filter(d => d.status === 'won' || (d.status === 'active' && d.victoryClaimed))
+      .map(debate => ({
+        debate,
+        reason: debate.status === 'won'
+          ? Object.values(debate.participants)
+            .sort((a, b) => (b.eliminatedAt || 0) - (a.eliminatedAt || 0))[0].eliminatedReason
+          : 'victory_declared',
+      }));
+  }
+
+  /**
+   * End exhibitions left active by a restart, with reason 'exhibition_interrupted'.
+   * Returns the debates ended.
+   */
+  endInterruptedExhibitions() {
+    const interrupted = [...this.debates.values()].filter(d => d.status === 'active' && d.mode === 'exhibition');
+    for (const debate of interrupted) {
+      this.endDebate(debate.threadId, 'exhibition_interrupted');
+    }
+    if (interrupted.length > 0) {
+      logger.warn('debate', 'Ended exhibitions interrupted by a restart', { count: interrupted.length });
     }
+    return interrupted;
   }
 
-  async generateResponse(debate, opponentMessage, isOpening = false, threadHistory = null) {
+  /**
+   * Generate the bot's next turn, waiting in the global generation queue.
+   * onQueued(position) is called while the turn waits for a slot.
+   */
+  generateResponse(debate, opponentMessage, isOpening = false, threadHistory = null, { onQueued = null, ...options } = {}) {
+    this.pendingTurns.add(debate.threadId);
+    return this.queue.run(
+      () => this.runTurn(debate, opponentMessage, isOpening, threadHistory, options),
+      { onPosition: onQueued },
+    ).finally(() => this.pendingTurns.delete(debate.threadId));
+  }
+
+  async runTurn(debate, opponentMessage, isOpening, threadHistory, {
+    authorId = debate.participantId,
+    messageId = null,
+    onToken = null,
+  } = {}) {
     debate.lastActivity = Date.now();
+    const settings = this.settings.get(debate.guildId);
+    const phase = this.getPhase(debate);
+    const llmOptions = {
+      persona: settings.persona,
+      model: settings.model,
+      maxLength: phase?.maxLength || settings.maxLength,
+      budget: this.getToolBudget(debate),
+    };
 
     if (isOpening) {
       // formatWithSources already handles condensing
-      return await generateOpeningArgument(debate.subject);
+      const opening = await this.moderateReply(debate,
+        await generateOpeningArgument(debate.subject, debate.userSide, { ...llmOptions, onToken }));
+      this.recordTurn(debate, { role: 'assistant', content: opening });
+      this.saveDebate(debate);
+
+      // Pin down the side the bot committed to; replies are checked against it.
+      // The opening is posted without waiting, but the next reply waits for the stance.
+      const extraction = extractStance(debate.subject, opening).then(stance => {
+        if (!stance) return;
+        debate.stance = stance;
+        this.saveDebate(debate);
+        logger.debate('stance_extracted', { subject: debate.subject, ...stance });
+      }).finally(() => this.pendingStances.delete(debate.threadId));
+      this.pendingStances.set(debate.threadId, extraction);
+
+      return opening;
     }
 
+    const participant = debate.participants[authorId];
+
     // Check for non-substantive response
     if (this.isNonSubstantive(opponentMessage)) {
-      debate.opponentInactiveCount++;
+      participant.opponentInactiveCount++;
     } else {
-      debate.opponentInactiveCount = 0;
+      participant.opponentInactiveCount = 0;
     }
 
-    // Analyze for fallacies
-    const fallacyAnalysis = await analyzeForFallacies(opponentMessage);
-    if (fallacyAnalysis && !fallacyAnalysis.includes('No significant fallacies')) {
+    // Use thread history if provided, otherwise fall back to internal tracking.
+    // Prefix user turns with the author so the model can tell team members apart.
+    const messages = threadHistory
+      ? threadHistory.map(m => ({
+        role: m.role,
+        content: m.role === 'user' && m.author ? `${m.author}: ${m.content}` : m.content,
+      }))
+      : [...debate.messages.map(m => ({ role: m.role, content: m.content })), { role: 'user', content: opponentMessage }];
+
+    const opponents = this.getActiveParticipants(debate)
+      .map(p => p.username)
+      .filter(Boolean);
+
+    const generate = (correction = null, { stream = true } = {}) => generateDebateResponse(messages, debate.subject, {
+      opponents,
+      phase,
+      summary: debate.summary,
+      correction,
+      ...llmOptions,
+      onToken: stream && onToken ? text => onToken(text.replace('[VICTORY]', '')) : null,
+    });
+
+    // Analyze for fallacies while the response generates
+    const [fallacyResult, generated] = await Promise.all([
+      analyzeForFallacies(opponentMessage),
+      this.generateConsistentReply(debate, generate),
+    ]);
+    let response = generated;
+
+    // Weight each fallacy by severity
+    const fallacies = fallacyResult || [];
+    for (const fallacy of fallacies) {
+      participant.fallacyCount++;
+      participant.fallacyScore = (participant.fallacyScore || 0) + FALLACY_WEIGHTS[fallacy.severity];
       debate.fallacyCount++;
-      logger.debate('fallacy_detected', { count: debate.fallacyCount });
+      debate.fallacies = debate.fallacies || [];
+      debate.fallacies.push({ ...fallacy, userId: authorId, messageId, timestamp: Date.now() });
+      logger.debate('fallacy_detected', {
+        userId: authorId,
+        type: fallacy.type,
+        severity: fallacy.severity,
+        score: participant.fallacyScore,
+      });
     }
 
-    if (debate.fallacyCount >= FALLACY_THRESHOLD) {
-      debate.status = 'won';
+    if (participant.fallacyScore >= settings.fallacyThreshold) {
+      this.eliminateParticipant(debate, authorId, 'fallacies_detected');
+    } else if (participant.opponentInactiveCount >= settings.weakArgumentThreshold) {
+      this.eliminateParticipant(debate, authorId, 'opponent_inactive');
     }
 
-    // Use thread history if provided, otherwise fall back to internal tracking
-    const messages = threadHistory
-      ? threadHistory.map(m => ({ role: m.role, content: m.content }))
-      : [...debate.messages, { role: 'user', content: opponentMessage }];
-
-    // Generate response using thread context
-    let response = await generateDebateResponse(messages, debate.subject);
-
+    // The bot thinks it has won; the judge gets the final say
     if (response.includes('[VICTORY]')) {
-      debate.status = 'won';
+      debate.victoryClaimed = true;
       response = response.replace('[VICTORY]', '').trim();
     }
 
+    response = await this.moderateReply(debate, response);
+
+    this.recordTurn(debate, {
+      role: 'user',
+      content: opponentMessage,
+      author: participant.username,
+      authorId,
+      messageId,
+    });
+    this.recordTurn(debate, { role: 'assistant', content: response });
+    this.saveDebate(debate);
+
+    // Runs in the background; the next reply picks it up
+    this.updateSummary(debate).catch(error =>
+      logger.error('debate', 'Summary update failed', { error: error.message }));
+
     // formatWithSources already handles condensing
     return response;
   }
 
+  /**
+   * Generate a reply with generate(correction, { stream }) and redraft it, with the reason as feedback,
+   * while it contradicts the stance from the opening. Violations are logged and kept on the debate.
+   * Waits for the opening's stance first; with one to hold, drafts aren't streamed.
+   */
+  async generateConsistentReply(debate, generate) {
+    await this.pendingStances.get(debate.threadId);
+    // Drafts are checked before anyone sees them, so they are only streamed with no stance to hold
+    let reply = await generate(null, { stream: !debate.stance });
+    if (!debate.stance) return reply;
+
+    for (let attempt = 1; ; attempt++) {
+      const check = await checkStance(debate.subject, debate.stance, reply.replace('[VICTORY]', ''));
+      if (!check?.contradicts) return reply;
+
+      debate.stanceViolations = debate.stanceViolations || [];
+      debate.stanceViolations.push({ reply, explanation: check.explanation, attempt, timestamp: Date.now() });
+      logger.warn('debate', 'Reply contradicts stance', {
+        subject: debate.subject,
+        stance: debate.stance.side,
+        attempt,
+        explanation: check.explanation,
+      });
+
+      if (attempt > MAX_STANCE_RETRIES) {
+        logger.warn('debate', 'Out of redrafts, sending last draft', { subject: debate.subject });
+        return reply;
+      }
+
+      reply = await generate(`Your draft reply abandoned your position: ${check.explanation}
+You are arguing "${debate.stance.position}" for the whole debate. Rewrite the reply so it defends that position. Do not concede or switch sides.`, { stream: false });
+    }
+  }
+
+  /**
+   * Run a finished reply through the safety filter before it is sent
+   */
+  moderateReply(debate, reply) {
+    return this.moderator.filterReply(reply, {
+      guildId: debate.guildId,
+      threadId: debate.threadId,
+      subject: debate.subject,
+    });
+  }
+
+  /**
+   * Append a turn ({ role, content, author?, authorId?, messageId? }) to a standard debate's transcript
+   */
+  recordTurn(debate, turn) {
+    debate.messages.push({ ...turn, timestamp: Date.now() });
+    // The opponent's clock starts once the bot has replied
+    debate.lastActivity = Date.now();
+  }
+
+  /**
+   * Fold the turns since the last summary into debate.summary, once enough have built up
+   */
+  async updateSummary(debate, { force = false } = {}) {
+    const covered = debate.summary?.messageCount || 0;
+    const turns = debate.messages.slice(covered);
+    if (turns.length === 0 || (!force && turns.length < SUMMARY_EVERY_TURNS)) return;
+    if (this.pendingSummaries.has(debate.threadId)) return;
+
+    this.pendingSummaries.add(debate.threadId);
+    try {
+      const summary = await summarizeDebate(debate.subject, debate.summary, turns);
+      if (!summary) return;
+
+      debate.summary = { ...summary, messageCount: covered + turns.length, updatedAt: Date.now() };
+      this.saveDebate(debate);
+      logger.debate('summary_updated', { subject: debate.subject, turns: debate.summary.messageCount });
+    } finally {
+      this.pendingSummaries.delete(debate.threadId);
+    }
+  }
+
+  /**
+   * Generate the next exhibition turn for one persona ('pro' or 'con').
+   * Each persona sees its own turns as assistant messages and the other side's as user messages.
+   */
+  generateExhibitionTurn(debate, side, { onToken = null, onQueued = null } = {}) {
+    return this.queue.run(() => this.runExhibitionTurn(debate, side, { onToken }), { onPosition: onQueued });
+  }
+
+  async runExhibitionTurn(debate, side, { onToken }) {
+    const persona = EXHIBITION_PERSONAS[side];
+    debate.lastActivity = Date.now();
+
+    const messages = debate.messages.map(m => ({
+      role: m.side === side ? 'assistant' : 'user',
+      content: m.content,
+    }));
+
+    if (messages.length === 0) {
+      messages.push({ role: 'user', content: 'Give your opening argument.' });
+    }
+
+    const response = await this.moderateReply(debate, await generateDebateResponse(messages, debate.subject, {
+      systemPrompt: persona.systemPrompt,
+      model: persona.model,
+      maxLength: this.settings.get(debate.guildId).maxLength,
+      budget: this.getToolBudget(debate),
+      onToken,
+    }));
+
+    debate.messages.push({ side, content: response, timestamp: Date.now() });
+    this.saveDebate(debate);
+    return response;
+  }
+
+  recordRoundVotes(debate, round, votes) {
+    debate.votes.push({ round, ...votes });
+    this.saveDebate(debate);
+  }
+
+  /**
+   * Total audience votes and ask the judge for a closing verdict
+   */
+  async generateExhibitionVerdict(debate) {
+    const totals = debate.votes.reduce(
+      (sum, v) => ({ pro: sum.pro + v.pro, con: sum.con + v.con }),
+      { pro: 0, con: 0 }
+    );
+
+    const transcript = debate.messages
+      .map(m => `${EXHIBITION_PERSONAS[m.side].name}: ${m.content}`)
+      .join('\n\n');
+
+    const verdict = await generateExhibitionVerdict(debate.subject, transcript, totals);
+    return { totals, verdict };
+  }
+
+  /**
+   * Run the judge over a thread history ({ role, content, author }) and keep the scorecard
+   */
+  async judgeDebate(debate, history) {
+    const transcript = history
+      .map(m => `${m.role === 'assistant' ? 'BOT' : m.author}: ${m.content}`)
+      .join('\n\n');
+
+    const names = Object.values(debate.participants).map(p => p.username).filter(Boolean);
+    const verdict = await judgeDebate(debate.subject, transcript, names);
+
+    if (verdict) {
+      debate.verdict = verdict;
+      this.saveDebate(debate);
+      logger.debate('judged', { subject: debate.subject, winner: verdict.winner });
+    }
+
+    return verdict;
+  }
+
+  /**
+   * The fact-check already run on one of the bot's replies, if any
+   */
+  getFactCheck(debate, messageId) {
+    return (debate.factChecks || []).find(f => f.messageId === messageId) || null;
+  }
+
+  /**
+   * Re-research the claims in a bot reply. A disputed reply counts as a falsehood against
+   * the bot; at the guild's falsehoodThreshold the bot is refuted and loses.
+   * Returns the recorded check, or null if it failed or is already running.
+   */
+  async factCheck(debate, messageId, text, requestedBy) {
+    if (this.pendingFactChecks.has(messageId)) return null;
+    this.pendingFactChecks.add(messageId);
+
+    try {
+      // Runs on a fresh tool budget so a research-heavy debate can still be challenged
+      const result = await this.queue.run(() => factCheckReply(text, debate.subject));
+      if (!result) return null;
+
+      const check = { messageId, requestedBy, ...result, checkedAt: Date.now() };
+      debate.factChecks = debate.factChecks || [];
+      debate.factChecks.push(check);
+
+      if (result.verdict === 'disputed') {
+        debate.falsehoodCount = (debate.falsehoodCount || 0) + 1;
+        if (debate.falsehoodCount >= this.settings.get(debate.guildId).falsehoodThreshold) {
+          debate.botRefuted = true;
+        }
+      }
+
+      this.saveDebate(debate);
+      logger.debate('fact_checked', {
+        subject: debate.subject,
+        verdict: result.verdict,
+        falsehoods: debate.falsehoodCount,
+      });
+      return check;
+    } finally {
+      this.pendingFactChecks.delete(messageId);
+    }
+  }
+
+  /**
+   * Fallacies flagged in a specific opponent message
+   */
+  getFlaggedFallacies(debate, messageId) {
+    return (debate.fallacies || []).filter(f => f.messageId === messageId);
+  }
+
   isNonSubstantive(message) {
     if (!message || message.length < MIN_RESPONSE_LENGTH) return true;
 
@@ -101,16 +741,24 @@ export class DebateManager {
 
     return {
       subject: debate.subject,
+      participantId: debate.participantId,
+      participants: Object.values(debate.participants),
       messageCount: debate.messages.length,
       fallaciesDetected: debate.fallacyCount,
+      fallacyThreshold: this.settings.get(debate.guildId).fallacyThreshold,
+      falsehoodsDetected: debate.falsehoodCount || 0,
+      falsehoodThreshold: this.settings.get(debate.guildId).falsehoodThreshold,
+      usage: { toolCalls: 0, tokens: 0, toolMs: 0, ...debate.usage },
       status: debate.status,
+      format: getFormat(debate.format).name,
+      phase: this.getPhase(debate)?.name || null,
       duration: Date.now() - debate.createdAt,
     };
   }
 
   getActiveDebates() {
-    return Array.from(this.debates.entries())
+    return this.debates.entries()
       .filter(([_, d]) => d.status === 'active')
-      .map(([threadId, d]) => ({ threadId, subject: d.subject, participantId: d.participantId }));
+      .map(([threadId, d]) => ({ threadId, guildId: d.guildId, subject: d.subject, participantId: d.participantId }));
   }
 }
@@ -0,0 +1,93 @@
+// Debate formats. Each phase lasts a number of opponent turns and tells the
+// model what kind of reply the phase calls for. `open` has no phases.
+// Timed phases give the opponent turnSeconds to reply before the turn is lost.
+export const FORMATS = {
+  open: {
+    name: 'Open',
+    description: 'Free-form back-and-forth until someone cracks',
+    phases: null,
+  },
+  'lincoln-douglas': {
+    name: 'Lincoln-Douglas',
+    description: 'One-on-one values debate: openings, cross-examination, rebuttals, closings',
+    phases: [
+      {
+        id: 'opening',
+        name: 'Opening statements',
+        turns: 1,
+        maxLength: 700,
+        instruction: 'OPENING STATEMENTS: Lay out your case and the core value behind it. Up to 4 sentences.',
+      },
+      {
+        id: 'cross-examination',
+        name: 'Cross-examination',
+        turns: 2,
+        maxLength: 300,
+        turnSeconds: 180,
+        instruction: 'CROSS-EXAMINATION: Answer any question they asked directly, then ask ONE pointed question that exposes a weakness in their case. No speeches.',
+      },
+      {
+        id: 'rebuttal',
+        name: 'Rebuttals',
+        turns: 2,
+        maxLength: 500,
+        instruction: 'REBUTTALS: Dismantle their strongest argument and use their cross-examination answers against them.',
+      },
+      {
+        id: 'closing',
+        name: 'Closing statements',
+        turns: 1,
+        maxLength: 600,
+        instruction: 'CLOSING STATEMENT: Summarize why your side won the key clashes. Introduce no new arguments.',
+      },
+    ],
+  },
+  oxford: {
+    name: 'Oxford',
+    description: 'Formal motion debate with an audience vote before and after',
+    audienceVote: true,
+    phases: [
+      {
+        id: 'opening',
+        name: 'Opening statements',
+        turns: 1,
+        maxLength: 700,
+        instruction: 'OPENING STATEMENT: Address the audience and set out your case for or against the motion. Up to 4 sentences.',
+      },
+      {
+        id: 'rebuttal',
+        name: 'Rebuttals',
+        turns: 3,
+        maxLength: 500,
+        instruction: 'REBUTTALS: Rebut their last point directly, then reinforce your own case for the audience.',
+      },
+      {
+        id: 'closing',
+        name: 'Closing statements',
+        turns: 1,
+        maxLength: 600,
+        instruction: 'CLOSING STATEMENT: Appeal to the audience to vote for your side. Introduce no new arguments.',
+      },
+    ],
+  },
+  'rapid-fire': {
+    name: 'Rapid-fire',
+    description: 'Eight quick exchanges, one sentence each',
+    phases: [
+      {
+        id: 'rapid-fire',
+        name: 'Rapid-fire',
+        turns: 8,
+        maxLength: 200,
+        turnSeconds: 90,
+        instruction: 'RAPID-FIRE: ONE sentence only. Hit hard and fast.',
+      },
+    ],
+  },
+};
+
+export const DEFAULT_FORMAT = 'open';
+
+export function getFormat(id) {
+  return FORMATS[id] || FORMATS[DEFAULT_FORMAT];
+}
@@ -0,0 +1,69 @@
+import { AsyncResource } from 'node:async_hooks';
+import { logger } from './logger.js';
+
+const GENERATION_CONCURRENCY = parseInt(process.env.GENERATION_CONCURRENCY || '2', 10);
+
+/**
+ * Global queue for debate generations so concurrent debates don't pile up on one model server.
+ * At most `concurrency` tasks run at once; the rest wait in order and are told their position.
+ */
+export class GenerationQueue {
+  constructor(concurrency = GENERATION_CONCURRENCY) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Number of tasks waiting to start
+   */
+  get depth() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Run task() when a slot frees up. onPosition(n) is called with the task's place in line
+   * (1 = next) whenever it changes while it waits.
+   * Both run in the caller's async context (e.g. its log correlation IDs), not whichever job freed the slot.
+   */
+  run(task, { onPosition = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        task: AsyncResource.bind(task),
+        resolve,
+        reject,
+        onPosition: onPosition && AsyncResource.bind(onPosition),
+        position: null,
+      });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const job = this.waiting.shift();
+      this.active++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+
+    this.waiting.forEach((job, i) => {
+      if (job.position === i + 1) return;
+      job.position = i + 1;
+      try {
+        job.onPosition?.(job.position);
+      } catch (error) {
+        logger.debug('queue', 'Position callback failed', { error: error.message });
+      }
+    });
+
+    if (this.waiting.length > 0) {
+      logger.debug('queue', 'Generations waiting', { active: this.active, waiting: this.waiting.length });
+    }
+  }
+}
@@ -0,0 +1,121 @@
+import { createStore } from './storage.js';
+import { logger } from './logger.js';
+import { PERSONAS, DEFAULT_PERSONA, MODEL, MAX_DISCORD_LENGTH } from './ollama.js';
+import { FORMATS, DEFAULT_FORMAT } from './formats.js';
+
+export const DEFAULT_SETTINGS = {
+  persona: DEFAULT_PERSONA,
+  format: DEFAULT_FORMAT,  // Used by text triggers and /debate start without a format
+  fallacyThreshold: 3,  // Weighted by severity - fewer fallacies needed, be aggressive
+  weakArgumentThreshold: 2,  // Consecutive weak responses = loss
+  falsehoodThreshold: 2,  // Disputed fact-checks before the bot loses
+  idleReminderMinutes: 30,  // Ping the opponent after this long without a reply
+  idleForfeitMinutes: 120,  // Then forfeit the debate to the bot
+  maxLength: MAX_DISCORD_LENGTH,
+  model: MODEL,
+  triggers: ['debate me', "let's fight about", 'fight me on', 'argue with me about'],
+  allowedChannels: [],  // Empty = debates allowed everywhere
+  blocklist: [],  // Terms refused in topics and replies, on top of MODERATION_BLOCKLIST
+  auditChannel: null,  // Where moderation actions are logged
+};
+
+// How each setting is parsed from /debate-config input
+export const SETTING_TYPES = {
+  persona: { type: 'choice', choices: Object.keys(PERSONAS) },
+  format: { type: 'choice', choices: Object.keys(FORMATS) },
+  fallacyThreshold: { type: 'number', min: 1, max: 20 },
+  weakArgumentThreshold: { type: 'number', min: 1, max: 10 },
+  falsehoodThreshold: { type: 'number', min: 1, max: 10 },
+  idleReminderMinutes: { type: 'number', min: 1, max: 1440 },
+  idleForfeitMinutes: { type: 'number', min: 5, max: 10080 },
+  maxLength: { type: 'number', min: 100, max: 1900 },
+  model: { type: 'string' },
+  triggers: { type: 'list' },
+  blocklist: { type: 'list' },
+};
+
+/**
+ * Parse a raw string into a value for the given setting.
+ * Returns { value } or { error }.
+ */
+export function parseSettingValue(key, raw) {
+  const spec = SETTING_TYPES[key];
+  if (!spec) return { error: `Unknown setting: ${key}` };
+
+  const text = raw.trim();
+
+  switch (spec.type) {
+    case 'choice':
+      if (!spec.choices.includes(text)) {
+        return { error: `${key} must be one of: ${spec.choices.join(', ')}` };
+      }
+      return { value: text };
+
+    case 'number': {
+      const n = Number(text);
+      if (!Number.isFinite(n) || n < spec.min || n > spec.max) {
+        return { error: `${key} must be a number between ${spec.min} and ${spec.max}` };
+      }
+      return { value: n };
+    }
+
+    case 'list': {
+      const items = text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+      if (items.length === 0) return { error: `${key} needs at least one comma-separated entry` };
+      return { value: items };
+    }
+
+    default:
+      if (!text) return { error: `${key} can't be empty` };
+      return { value: text };
+  }
+}
+
+/**
+ * Build trigger regexes from phrases. Apostrophes are optional so "lets" matches "let's".
+ */
+export function buildTriggers(phrases) {
+  return phrases.map(phrase => {
+    const escaped = phrase
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/'/g, "'?")
+      .replace(/\s+/g, '\\s+');
+    return new RegExp(`^${escaped}\\s+(.+)`, 'i');
+  });
+}
+
+/**
+ * Per-guild overrides on top of DEFAULT_SETTINGS
+ */
+export class GuildSettings {
+  constructor(store = createStore('guilds')) {
+    this.guilds = store;
+  }
+
+  get(guildId) {
+    return { ...DEFAULT_SETTINGS, ...(guildId ? this.guilds.get(guildId) : {}) };
+  }
+
+  set(guildId, key, value) {
+    const overrides = { ...this.guilds.get(guildId), [key]: value };
+    this.guilds.set(guildId, overrides);
+    logger.info('config', 'Guild setting changed', { guildId, key, value });
+    return this.get(guildId);
+  }
+
+  reset(guildId, key = null) {
+    if (!key) {
+      this.guilds.delete(guildId);
+    } else {
+      const { [key]: _, ...overrides } = this.guilds.get(guildId) || {};
+      this.guilds.set(guildId, overrides);
+    }
+    logger.info('config', 'Guild settings reset', { guildId, key: key || 'all' });
+    return this.get(guildId);
+  }
+
+  isChannelAllowed(guildId, channelId) {
+    const { allowedChannels } = this.get(guildId);
+    return allowedChannels.length === 0 || allowedChannels.includes(channelId);
+  }
+}
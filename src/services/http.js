@@ -0,0 +1,109 @@
+import { logger } from './logger.js';
+
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 500;
+// Longest wait honored from a Retry-After header
+const MAX_RETRY_DELAY_MS = 10000;
+// Responses larger than this are cut off
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sliding-window rate limiter. acquire() resolves once a request may be made.
+ */
+export class RateLimiter {
+  constructor(limit, windowMs = 60000) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.timestamps = [];
+    this.queue = Promise.resolve();
+  }
+
+  acquire() {
+    this.queue = this.queue.then(() => this.waitForSlot());
+    return this.queue;
+  }
+
+  async waitForSlot() {
+    for (;;) {
+      const now = Date.now();
+      this.timestamps = this.timestamps.filter(t => t > now - this.windowMs);
+      if (this.timestamps.length < this.limit) {
+        this.timestamps.push(now);
+        return;
+      }
+      const wait = this.timestamps[0] + this.windowMs - now;
+      logger.debug('tools', 'Rate limited, waiting', { ms: wait });
+      await sleep(wait);
+    }
+  }
+}
+
+/**
+ * Read a response body, stopping at maxBytes
+ */
+async function readBody(res, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body ?? []) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) {
+      logger.warn('tools', 'Response truncated', { url: res.url, maxBytes });
+      break;
+    }
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+/**
+ * fetch with a timeout (via AbortController) and retries with exponential backoff
+ * on 429, 5xx, network errors and timeouts. Honors Retry-After on 429, up to maxRetryDelayMs.
+ * The timeout covers reading the body too: the returned response is already fully read
+ * (up to maxBytes), so res.json() and res.text() can't stall.
+ */
+export async function fetchWithRetry(url, init = {}, {
+  timeoutMs = 10000,
+  limiter = null,
+  maxBytes = MAX_BODY_BYTES,
+  maxRetryDelayMs = MAX_RETRY_DELAY_MS,
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    if (limiter) await limiter.acquire();
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    let failure;
+
+    try {
+      const streamed = await fetch(url, { ...init, signal: controller.signal });
+      const body = await readBody(streamed, maxBytes);
+      res = new Response([101, 204, 205, 304].includes(streamed.status) ? null : body, {
+        status: streamed.status,
+        statusText: streamed.statusText,
+        headers: streamed.headers,
+      });
+      if (res.status !== 429 && res.status < 500) return res;
+      failure = `${res.status} ${res.statusText}`;
+    } catch (error) {
+      failure = error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (attempt >= MAX_ATTEMPTS) {
+      if (res) return res;
+      throw new Error(`Request failed: ${failure}`);
+    }
+
+    const retryAfter = parseInt(res?.headers.get('retry-after') || '', 10);
+    const delay = Number.isFinite(retryAfter)
+      ? Math.min(Math.max(retryAfter, 0) * 1000, maxRetryDelayMs)
+      : BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.random() * BACKOFF_BASE_MS;
+
+    logger.warn('tools', `Request failed (${failure}), retrying in ${Math.round(delay)}ms`, { attempt });
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,70 @@
+import { logger } from './logger.js';
+import { OllamaProvider } from './providers/ollamaProvider.js';
+import { OpenAICompatibleProvider } from './providers/openaiProvider.js';
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+};
+
+const DEFAULT_MODEL = process.env.OLLAMA_MODEL || 'gpt-oss:120b-cloud';
+
+// Model used for each task unless the caller picks one. Cheap tasks can use a smaller model.
+export const TASK_MODELS = {
+  debate: process.env.MODEL_DEBATE || DEFAULT_MODEL,
+  condense: process.env.MODEL_CONDENSE || process.env.MODEL_DEBATE || DEFAULT_MODEL,
+  fallacy: process.env.MODEL_FALLACY || process.env.MODEL_DEBATE || DEFAULT_MODEL,
+  judge: process.env.MODEL_JUDGE || process.env.MODEL_DEBATE || DEFAULT_MODEL,
+  verify: process.env.MODEL_VERIFY || process.env.MODEL_DEBATE || DEFAULT_MODEL,
+  moderation: process.env.MODEL_MODERATION || process.env.MODEL_DEBATE || DEFAULT_MODEL,
+};
+
+function createProvider(name) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) throw new Error(`Unknown LLM provider: ${name}`);
+  return new Provider();
+}
+
+const primary = createProvider(process.env.LLM_PROVIDER || 'ollama');
+const fallback = process.env.LLM_FALLBACK_PROVIDER ? createProvider(process.env.LLM_FALLBACK_PROVIDER) : null;
+const FALLBACK_MODEL = process.env.LLM_FALLBACK_MODEL;
+
+/**
+ * Send a chat request for a task ('debate', 'condense', 'fallacy', 'judge', 'verify' or 'moderation').
+ * request is { model?, messages, tools?, format?, options? }; the model defaults to the task's route.
+ * Falls back to the secondary provider if the primary one errors.
+ */
+export async function chat(task, request, onToken = null) {
+  const model = request.model || TASK_MODELS[task] || DEFAULT_MODEL;
+
+  try {
+    return await primary.chat({ ...request, model }, onToken);
+  } catch (error) {
+    if (!fallback) throw error;
+
+    logger.warn('llm', `${primary.name} failed for ${task}, falling back to ${fallback.name}`, { error: error.message });
+    return fallback.chat({ ...request, model: FALLBACK_MODEL || model }, onToken);
+  }
+}
+
+/**
+ * Check that the primary provider answers within timeoutMs.
+ * Returns { ok, provider, ms } plus error when it doesn't.
+ */
+export async function checkLLM(timeoutMs = 5000) {
+  const startTime = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      primary.ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer after ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+    return { ok: true, provider: primary.name, ms: Date.now() - startTime };
+  } catch (error) {
+    return { ok: false, provider: primary.name, ms: Date.now() - startTime, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
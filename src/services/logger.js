@@ -1,8 +1,19 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
 const C = {
   r: '\x1b[0m', g: '\x1b[32m', y: '\x1b[33m', b: '\x1b[34m',
   m: '\x1b[35m', c: '\x1b[36m', gr: '\x1b[90m', rd: '\x1b[31m',
 };
 
+// 'text' for colored console lines, 'json' for one JSON object per line
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] || (process.env.DEBUG ? LEVELS.debug : LEVELS.info);
+
+// Correlation IDs (threadId, debateId) for everything logged while handling one event
+const context = new AsyncLocalStorage();
+
 const ts = () => new Date().toISOString().substring(11, 23);
 
 const fmt = (data) => {
@@ -10,36 +21,74 @@ const fmt = (data) => {
   return Object.entries(data).map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(' ');
 };
 
+/**
+ * Write one JSON log line. Context IDs are applied last so data can't overwrite them.
+ */
+function writeJson(level, category, msg, data) {
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    category,
+    msg,
+    ...data,
+    ...context.getStore(),
+  };
+  console.log(JSON.stringify(line, (_, v) => (v instanceof Error ? v.message : v)));
+}
+
+function write(level, text, category, msg, data) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+  if (LOG_FORMAT === 'json') {
+    writeJson(level, category, msg, data);
+  } else {
+    console.log(text());
+  }
+}
+
 export const logger = {
   info(cat, msg, data = {}) {
-    console.log(`${C.gr}${ts()}${C.r} ${C.g}INFO${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`);
+    write('info', () => `${C.gr}${ts()}${C.r} ${C.g}INFO${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`, cat, msg, data);
   },
 
   warn(cat, msg, data = {}) {
-    console.log(`${C.gr}${ts()}${C.r} ${C.y}WARN${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`);
+    write('warn', () => `${C.gr}${ts()}${C.r} ${C.y}WARN${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`, cat, msg, data);
   },
 
   error(cat, msg, data = {}) {
-    console.log(`${C.gr}${ts()}${C.r} ${C.rd}ERR${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`);
+    write('error', () => `${C.gr}${ts()}${C.r} ${C.rd}ERR${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`, cat, msg, data);
   },
 
   debug(cat, msg, data = {}) {
-    if (process.env.DEBUG) {
-      console.log(`${C.gr}${ts()}${C.r} ${C.gr}DBG${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`);
-    }
+    write('debug', () => `${C.gr}${ts()}${C.r} ${C.gr}DBG${C.r} ${C.c}${cat}${C.r} ${fmt(data)} ${msg}`, cat, msg, data);
   },
 
   message(msg) {
     const ch = msg.channel.name || msg.channel.id;
     const content = msg.content.length > 50 ? msg.content.substring(0, 50) + '...' : msg.content;
-    console.log(`${C.gr}${ts()}${C.r} ${C.m}MSG${C.r} ${msg.author.tag} #${ch} "${content}"`);
+    write('info', () => `${C.gr}${ts()}${C.r} ${C.m}MSG${C.r} ${msg.author.tag} #${ch} "${content}"`,
+      'message', content, { author: msg.author.tag, channel: ch });
   },
 
   debate(action, data = {}) {
-    console.log(`${C.gr}${ts()}${C.r} ${C.b}DBT${C.r} ${action} ${fmt(data)}`);
+    write('info', () => `${C.gr}${ts()}${C.r} ${C.b}DBT${C.r} ${action} ${fmt(data)}`, 'debate', action, data);
   },
 
   ollama(action, data = {}) {
-    console.log(`${C.gr}${ts()}${C.r} ${C.y}LLM${C.r} ${action} ${fmt(data)}`);
+    write('info', () => `${C.gr}${ts()}${C.r} ${C.y}LLM${C.r} ${action} ${fmt(data)}`, 'ollama', action, data);
+  },
+
+  /**
+   * Run fn with correlation IDs (e.g. { threadId, debateId }) attached to every line it logs,
+   * including from async work it starts. Nested calls add to the outer IDs.
+   */
+  withContext(ids, fn) {
+    return context.run({ ...context.getStore(), ...ids }, fn);
+  },
+
+  /**
+   * Add correlation IDs to the current context, e.g. once a debate has been created
+   */
+  addContext(ids) {
+    Object.assign(context.getStore() || {}, ids);
   },
 };
@@ -0,0 +1,107 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels,
+ * rendered in the text exposition format for /metrics.
+ */
+
+const PREFIX = 'jb_debate_';
+
+// Seconds; LLM calls range from sub-second classifiers to minute-long research loops
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = PREFIX + name;
+    this.help = help;
+    this.type = type;
+    // Series keyed by their sorted labels
+    this.series = new Map();
+  }
+
+  entry(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  lines() {
+    return [...this.series.values()].map(s => `${this.name}${labelText(s.labels)} ${s.value}`);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  lines() {
+    return [...this.series.values()].map(s => `${this.name}${labelText(s.labels)} ${s.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = LATENCY_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const s = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(s => [
+      ...this.buckets.map((le, i) => `${this.name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`),
+      `${this.name}_bucket${labelText({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${this.name}_sum${labelText(s.labels)} ${s.sum}`,
+      `${this.name}_count${labelText(s.labels)} ${s.count}`,
+    ]);
+  }
+}
+
+export const metrics = {
+  activeDebates: new Gauge('active_debates', 'Debates currently in progress'),
+  queueDepth: new Gauge('generation_queue_depth', 'Turns waiting for a generation slot'),
+  generationSeconds: new Histogram('generation_duration_seconds', 'LLM generation latency by call type'),
+  toolCalls: new Counter('tool_calls_total', 'Research tool calls by tool'),
+  toolErrors: new Counter('tool_errors_total', 'Research tool calls that failed, by tool'),
+};
+
+/**
+ * All metrics in the Prometheus text format
+ */
+export function renderMetrics() {
+  return Object.values(metrics).map(m => m.render()).join('\n\n') + '\n';
+}
@@ -0,0 +1,194 @@
+import { logger } from './logger.js';
+import { chat } from './llm.js';
+import { GuildSettings } from './guildSettings.js';
+
+const MODERATION_ENABLED = process.env.MODERATION_ENABLED !== 'false';
+
+// Terms blocked in every guild, on top of each guild's own blocklist
+const GLOBAL_BLOCKLIST = (process.env.MODERATION_BLOCKLIST || '')
+  .split(',')
+  .map(t => t.trim().toLowerCase())
+  .filter(Boolean);
+
+export const MODERATION_CATEGORIES = ['hate', 'harassment', 'self_harm', 'sexual', 'violence', 'blocklist'];
+
+export const CATEGORY_LABELS = {
+  hate: 'hateful or slur-laden content',
+  harassment: 'targeting a real person',
+  self_harm: 'self-harm',
+  sexual: 'sexual content',
+  violence: 'violent content',
+  blocklist: "a term this server doesn't allow",
+};
+
+/**
+ * Polite refusal for a debate subject the moderator flagged
+ */
+export function topicRefusal(check) {
+  return `🛡️ I'm going to sit this one out - that topic touches on ${CATEGORY_LABELS[check.category] || 'something I avoid'}. Pick another and I'm all yours.`;
+}
+
+// Sent instead of a reply that couldn't be made safe
+export const SUPPRESSED_REPLY = "🛡️ I drafted a reply that crossed a line, so I've withheld it. Let's keep this about the arguments.";
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    safe: { type: 'boolean' },
+    category: { type: 'string', enum: MODERATION_CATEGORIES.filter(c => c !== 'blocklist') },
+    reason: { type: 'string' },
+  },
+  required: ['safe', 'reason'],
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Return the first blocklisted term in text (whole words, case-insensitive), or null
+ */
+export function matchBlocklist(text, terms) {
+  return terms.find(term => new RegExp(`(^|\\W)${escapeRegex(term)}(\\W|$)`, 'i').test(text)) || null;
+}
+
+const CLASSIFIER_PROMPTS = {
+  topic: `You screen topics for a sarcastic debate bot that argues against whatever users say.
+Mark a topic unsafe if debating it adversarially would mean using slurs or hate against a protected group, encouraging or mocking self-harm or suicide, harassing or degrading a specific real private person, sexual content involving minors or explicit sexual content, or glorifying real violence.
+Controversial but legitimate topics (politics, religion, ethics, drugs policy, history) are safe.`,
+  reply: `You screen replies written by a sarcastic debate bot before they are posted.
+Mark a reply unsafe if it uses slurs or hate against a protected group, encourages or mocks self-harm or suicide, personally harasses or threatens someone, contains explicit sexual content, or glorifies real violence.
+Sharp, sarcastic disagreement with someone's arguments is safe.`,
+};
+
+/**
+ * Classify text ('topic' or 'reply') with the moderation model.
+ * Returns { safe, category, reason }, or null if the check failed.
+ */
+export async function classifyContent(text, kind, { model } = {}) {
+  const messages = [
+    { role: 'system', content: `${CLASSIFIER_PROMPTS[kind]}\nIf unsafe, give the category. Explain in one short sentence. Respond with JSON only.` },
+    { role: 'user', content: text },
+  ];
+
+  try {
+    const response = await chat('moderation', {
+      model,
+      messages,
+      format: CLASSIFICATION_SCHEMA,
+      options: { temperature: 0 },
+    });
+
+    const parsed = JSON.parse(response.message.content);
+    const safe = parsed.safe !== false;
+    return {
+      safe,
+      category: safe ? null : (MODERATION_CATEGORIES.includes(parsed.category) ? parsed.category : 'harassment'),
+      reason: String(parsed.reason || '').trim(),
+    };
+  } catch (error) {
+    logger.error('moderation', `Classification failed: ${error.message}`, { kind });
+    return null;
+  }
+}
+
+/**
+ * Rewrite an unsafe reply so it keeps the argument but drops the problem
+ */
+async function rewriteReply(text, reason, { model } = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: `Rewrite this debate reply so it keeps the argument and stays sharp, but removes what made it unacceptable: ${reason}
+No slurs, no personal attacks, nothing about self-harm. Same length or shorter. Output only the rewritten reply.`,
+    },
+    { role: 'user', content: text },
+  ];
+
+  try {
+    const response = await chat('moderation', { model, messages, options: { temperature: 0.3 } });
+    return response.message.content.trim() || null;
+  } catch (error) {
+    logger.error('moderation', `Rewrite failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Safety layer for debate topics and the bot's replies: a configurable blocklist
+ * (global MODERATION_BLOCKLIST plus each guild's blocklist setting) checked first,
+ * then the moderation model. Every intervention is passed to onFlag for the audit log.
+ * Checks fail open - if the model is unreachable, only the blocklist applies.
+ */
+export class Moderator {
+  constructor({ settings = new GuildSettings(), onFlag = null, enabled = MODERATION_ENABLED } = {}) {
+    this.settings = settings;
+    this.onFlag = onFlag;
+    this.enabled = enabled;
+  }
+
+  blocklist(guildId) {
+    return [...GLOBAL_BLOCKLIST, ...(this.settings.get(guildId).blocklist || [])];
+  }
+
+  /**
+   * Returns { safe, category, reason, source } where source is 'blocklist' or 'model'
+   */
+  async classify(guildId, text, kind) {
+    const term = matchBlocklist(text, this.blocklist(guildId));
+    if (term) {
+      return { safe: false, category: 'blocklist', reason: `Contains blocked term "${term}"`, source: 'blocklist' };
+    }
+
+    const result = await classifyContent(text, kind);
+    return { ...(result || { safe: true, category: null, reason: 'Classifier unavailable' }), source: 'model' };
+  }
+
+  flag(entry) {
+    logger.warn('moderation', `${entry.kind} ${entry.action}`, {
+      guildId: entry.guildId,
+      category: entry.category,
+      source: entry.source,
+    });
+    try {
+      this.onFlag?.({ ...entry, timestamp: Date.now() });
+    } catch (error) {
+      logger.error('moderation', `Audit callback failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a proposed debate subject. context is { guildId, channelId, userId }.
+   * Returns { safe, category, reason, source }.
+   */
+  async checkTopic(subject, context) {
+    if (!this.enabled) return { safe: true, category: null, reason: '', source: null };
+
+    const result = await this.classify(context.guildId, subject, 'topic');
+    if (!result.safe) {
+      this.flag({ ...context, kind: 'topic', action: 'refused', text: subject, ...result });
+    }
+    return result;
+  }
+
+  /**
+   * Screen an outgoing reply. context is { guildId, threadId, subject }.
+   * Returns the reply, a safe rewrite of it, or SUPPRESSED_REPLY.
+   */
+  async filterReply(reply, context) {
+    if (!this.enabled) return reply;
+
+    const result = await this.classify(context.guildId, reply, 'reply');
+    if (result.safe) return reply;
+
+    const rewritten = await rewriteReply(reply, result.reason);
+    if (rewritten) {
+      const recheck = await this.classify(context.guildId, rewritten, 'reply');
+      if (recheck.safe) {
+        this.flag({ ...context, kind: 'reply', action: 'rewritten', text: reply, ...result });
+        return rewritten;
+      }
+    }
+
+    this.flag({ ...context, kind: 'reply', action: 'suppressed', text: reply, ...result });
+    return SUPPRESSED_REPLY;
+  }
+}
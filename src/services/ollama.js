@@ -1,12 +1,11 @@
-import { Ollama } from 'ollama';
 import { logger } from './logger.js';
-import { WEB_TOOLS, processToolCalls } from './webSearch.js';
+import { WEB_TOOLS, processToolCalls, corpusUrl, isCorpusUrl } from './webSearch.js';
+import { chat, TASK_MODELS } from './llm.js';
+import { ToolBudget } from './toolBudget.js';
+import { metrics } from './metrics.js';
 
-const ollama = new Ollama({
-  host: process.env.OLLAMA_HOST || 'http://localhost:11434',
-});
-
-const MODEL = process.env.OLLAMA_MODEL || 'gpt-oss:120b-cloud';
+export const MODEL = TASK_MODELS.debate;
+export const MAX_DISCORD_LENGTH = 500; // Short, punchy responses
 
 const SYSTEM_PROMPT = `You are a sharp, witty debater who knows their stuff. Confident but not obnoxious.
 
@@ -24,18 +23,118 @@ RULES:
 
 Be sharp. Be witty. Win with facts.`;
 
-async function chatWithTools(messages, options = {}, retries = 2, collectedSources = []) {
+const ACADEMIC_PROMPT = `You are a rigorous academic debater. Courteous, precise and unflappable.
+
+RULES:
+- You ALWAYS oppose the user. If they're pro-X, you're anti-X. If they're anti-X, you're pro-X.
+- State your thesis clearly upfront. DEFEND IT consistently throughout.
+- NEVER flip-flop or agree with the opponent. Stay on your side.
+- Steelman their strongest point before refuting it.
+- MAX 2-3 sentences. Be concise and formal.
+- Use web_search for evidence. Prefer studies, data and primary sources.
+- No sarcasm or teasing. Critique arguments, never the person.
+- Name logical fallacies precisely when you spot them.
+- Declare [VICTORY] when: they contradict themselves, commit multiple fallacies, give up, or can't respond.
+
+Be rigorous. Be fair. Win with evidence.`;
+
+const REDDIT_PROMPT = `You are the most insufferable debater on Reddit. Smug, relentless and always "well, actually".
+
+RULES:
+- You ALWAYS oppose the user. If they're pro-X, you're anti-X. If they're anti-X, you're pro-X.
+- State your position upfront. DEFEND IT to the bitter end.
+- NEVER flip-flop or agree with the opponent. Stay on your side.
+- MAX 2-3 sentences. Keep it punchy.
+- Use web_search for facts and cite them smugly.
+- Heavy sarcasm is encouraged, but never slurs or personal attacks on real people.
+- Point out every logical fallacy by name, with relish.
+- Declare [VICTORY] when: they contradict themselves, commit multiple fallacies, give up, or can't respond.
+
+Source? Trust me, you'll want one.`;
+
+// Debate personas selectable per guild
+export const PERSONAS = {
+  witty: {
+    description: 'Sharp and witty, a bit sarcastic',
+    systemPrompt: SYSTEM_PROMPT,
+    toolNudge: 'Use the results. 1-2 sentences max. Be insufferably Reddit about it.',
+    condenseStyle: 'Keep it snarky, Reddit-style. 1-2 sentences max. Preserve the burn and any facts.',
+  },
+  academic: {
+    description: 'Formal, evidence-first and courteous',
+    systemPrompt: ACADEMIC_PROMPT,
+    toolNudge: 'Use the results. 1-2 sentences max. Cite the evidence precisely.',
+    condenseStyle: 'Keep it formal and precise. 1-2 sentences max. Preserve the evidence.',
+  },
+  reddit: {
+    description: 'Maximum smug Reddit energy',
+    systemPrompt: REDDIT_PROMPT,
+    toolNudge: 'Use the results. 1-2 sentences max. Be insufferably Reddit about it.',
+    condenseStyle: 'Keep it smug, Reddit-style. 1-2 sentences max. Preserve the burn and any facts.',
+  },
+};
+
+export const DEFAULT_PERSONA = 'witty';
+
+const resolvePersona = (name) => PERSONAS[name] || PERSONAS[DEFAULT_PERSONA];
+
+const EXHIBITION_RULES = `RULES:
+- You are in an exhibition debate against another AI debater while an audience watches and votes.
+- Defend your assigned side consistently. NEVER concede or switch sides.
+- Respond directly to your opponent's last point, then push your own case.
+- MAX 2-3 sentences. Keep it punchy.
+- Use web_search for facts. Be accurate.`;
+
+// Opposing personas for bot-vs-bot exhibition debates
+export const EXHIBITION_PERSONAS = {
+  pro: {
+    name: 'The Advocate',
+    emoji: '🟦',
+    model: process.env.EXHIBITION_PRO_MODEL || MODEL,
+    systemPrompt: `You are The Advocate: earnest, optimistic and evidence-driven. You argue FOR the debate subject.
+
+${EXHIBITION_RULES}`,
+  },
+  con: {
+    name: 'The Skeptic',
+    emoji: '🟥',
+    model: process.env.EXHIBITION_CON_MODEL || MODEL,
+    systemPrompt: `You are The Skeptic: dry, sardonic and allergic to hype. You argue AGAINST the debate subject.
+
+${EXHIBITION_RULES}`,
+  },
+};
+
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS || '3', 10);
+
+// Sources offered to the citation check, and how much of each one it reads
+const MAX_CITATION_SOURCES = 6;
+const CITATION_SNIPPET_CHARS = 1200;
+
+/**
+ * Agent loop: let the model call tools for up to MAX_TOOL_ROUNDS rounds, within the budget,
+ * then make it answer. Returns { content, sources }.
+ */
+async function chatWithTools(messages, {
+  model,
+  nudge = PERSONAS[DEFAULT_PERSONA].toolNudge,
+  onToken = null,
+  budget = new ToolBudget(),
+  ...options
+} = {}, retries = 2, collectedSources = []) {
   const startTime = Date.now();
   let sources = [...collectedSources];
+  const chatOptions = { temperature: 0.8, top_p: 0.9, ...options };
 
   logger.debug('ollama', 'Sending chat request', { msgCount: messages.length, tools: WEB_TOOLS.length });
 
-  let response = await ollama.chat({
-    model: MODEL,
+  let response = await chat('debate', {
+    model,
     messages,
-    tools: WEB_TOOLS,
-    options: { temperature: 0.8, top_p: 0.9, ...options },
-  });
+    tools: budget.exhausted() || !WEB_TOOLS.length ? undefined : WEB_TOOLS,
+    options: chatOptions,
+  }, onToken);
+  budget.recordTokens(response.usage);
 
   logger.debug('ollama', 'Initial response', {
     hasContent: !!response.message.content,
@@ -43,11 +142,16 @@ async function chatWithTools(messages, options = {}, retries = 2, collectedSourc
     hasToolCalls: !!response.message.tool_calls?.length,
   });
 
-  // Handle tool calls
-  if (response.message.tool_calls && response.message.tool_calls.length > 0) {
-    logger.ollama('tool_calls', { count: response.message.tool_calls.length });
+  const conversation = [...messages];
+  let round = 0;
+
+  // Handle tool calls, round after round, until the model answers or runs out of budget
+  while (response.message.tool_calls?.length > 0) {
+    round++;
+    const toolCalls = response.message.tool_calls;
+    logger.ollama('tool_calls', { round, count: toolCalls.length });
 
-    for (const tc of response.message.tool_calls) {
+    for (const tc of toolCalls) {
       logger.debug('ollama', 'Tool call details', {
         name: tc.function?.name,
         args: JSON.stringify(tc.function?.arguments),
@@ -55,39 +159,50 @@ async function chatWithTools(messages, options = {}, retries = 2, collectedSourc
     }
 
     // Add assistant's response with tool calls
-    const updatedMessages = [...messages, response.message];
+    conversation.push(response.message);
 
     // Execute tools and add results
-    const { messages: toolMessages, sources: toolSources } = await processToolCalls(response.message.tool_calls);
+    const toolStart = Date.now();
+    const { messages: toolMessages, sources: toolSources, executed } = await processToolCalls(toolCalls, {
+      cache: budget.cache,
+      maxCalls: budget.remainingCalls(),
+    });
+    budget.recordCalls(executed);
+    budget.recordTime(Date.now() - toolStart);
     sources.push(...toolSources);
+    conversation.push(...toolMessages);
 
     logger.debug('ollama', 'Tool results', {
       count: toolMessages.length,
+      executed,
       sources: sources.length,
     });
 
-    updatedMessages.push(...toolMessages);
+    const stopReason = round >= MAX_TOOL_ROUNDS ? 'rounds' : budget.exhausted();
+    if (stopReason) {
+      logger.ollama('tool_loop_stopped', { round, reason: stopReason, calls: budget.usage.toolCalls, tokens: budget.usage.tokens });
+    }
 
-    // Add a nudge to help the model respond after tool results
-    updatedMessages.push({
-      role: 'user',
-      content: 'Use the results. 1-2 sentences max. Be insufferably Reddit about it.',
-    });
+    logger.debug('ollama', 'Sending follow-up after tools', { msgCount: conversation.length + 1, toolsOffered: !stopReason });
 
-    logger.debug('ollama', 'Sending follow-up after tools', { msgCount: updatedMessages.length });
-
-    // Get final response after tool execution
-    response = await ollama.chat({
-      model: MODEL,
-      messages: updatedMessages,
-      options: { temperature: 0.8, top_p: 0.9, ...options },
-    });
+    // Ask again, with a nudge to help the model respond after tool results.
+    // Tools are only offered while there are rounds and budget left.
+    response = await chat('debate', {
+      model,
+      messages: [...conversation, { role: 'user', content: nudge }],
+      tools: stopReason ? undefined : WEB_TOOLS,
+      options: chatOptions,
+    }, onToken);
+    budget.recordTokens(response.usage);
 
     logger.debug('ollama', 'Post-tool response', {
+      round,
       hasContent: !!response.message.content,
       contentLen: response.message.content?.length || 0,
       raw: response.message.content?.substring(0, 100) || '(empty)',
     });
+
+    if (stopReason) break;
   }
 
   let content = response.message.content?.trim();
@@ -95,7 +210,7 @@ async function chatWithTools(messages, options = {}, retries = 2, collectedSourc
   // Retry if empty response, preserving collected sources
   if (!content && retries > 0) {
     logger.warn('ollama', `Empty response, retrying (${retries} left) with ${sources.length} sources`);
-    return chatWithTools(messages, options, retries - 1, sources);
+    return chatWithTools(messages, { model, nudge, onToken, budget, ...options }, retries - 1, sources);
   }
 
   // Fallback if still empty
@@ -104,13 +219,22 @@ async function chatWithTools(messages, options = {}, retries = 2, collectedSourc
     return { content: "I'm ready to debate this topic. Present your argument and let's see if it holds up to scrutiny.", sources: [] };
   }
 
-  // Return content and sources separately (sources appended after condensing)
-  const uniqueSources = sources.length > 0
-    ? [...new Map(sources.map(s => [s.url, s])).values()].slice(0, 3)
-    : [];
+  // Return content and sources separately (citations are added after condensing).
+  // The same page can come back from several tools, so merge what each one saw of it.
+  const byUrl = new Map();
+  for (const source of sources) {
+    const existing = byUrl.get(source.url);
+    if (!existing) {
+      byUrl.set(source.url, { ...source, snippet: source.snippet || '' });
+    } else if (source.snippet && !existing.snippet.includes(source.snippet)) {
+      existing.snippet = `${existing.snippet}\n${source.snippet}`.trim();
+    }
+  }
+  const uniqueSources = [...byUrl.values()].slice(0, MAX_CITATION_SOURCES);
 
   logger.debug('ollama', 'Returning with sources', { total: sources.length, unique: uniqueSources.length });
-  logger.ollama('complete', { ms: Date.now() - startTime, len: content.length, sources: sources.length });
+  logger.ollama('complete', { ms: Date.now() - startTime, len: content.length, sources: sources.length, rounds: round });
+  metrics.generationSeconds.observe({ type: 'complete' }, (Date.now() - startTime) / 1000);
 
   return { content, sources: uniqueSources };
 }
@@ -127,95 +251,747 @@ function getCurrentDateTime() {
   });
 }
 
-async function formatWithSources(result) {
+/**
+ * Condense the reply, then check its factual claims against the sources and cite
+ * the supporting ones with inline [n] markers. Sources nothing in the reply relies on are dropped.
+ */
+async function formatWithSources(result, { maxLength = MAX_DISCORD_LENGTH, style } = {}) {
   logger.debug('ollama', 'formatWithSources input', {
     hasContent: !!result?.content,
     contentLen: result?.content?.length || 0,
     sourcesCount: result?.sources?.length || 0,
-    sources: JSON.stringify(result?.sources || []),
   });
 
-  // Condense the content first (without sources)
-  let content = await condenseIfNeeded(result.content);
+  // Condense first so the citation check sees the final wording
+  const content = await condenseIfNeeded(result.content, maxLength, { style });
 
   logger.debug('ollama', 'After condense', { contentLen: content.length });
 
-  // Append sources AFTER condensing so they don't get lost
-  if (result.sources && result.sources.length > 0) {
-    const sourceLinks = result.sources.map(s => `[${s.title}](${s.url})`).join(' | ');
-    content += `\n\n📎 ${sourceLinks}`;
-    logger.debug('ollama', 'Sources appended to final output', { count: result.sources.length, finalLen: content.length });
-  } else {
-    logger.debug('ollama', 'No sources to append in formatWithSources');
+  if (!result.sources?.length) {
+    logger.debug('ollama', 'No sources to cite in formatWithSources');
+    return content;
   }
 
-  return content;
+  const cited = await verifyCitations(content, result.sources, { maxLength });
+  if (!cited) return content;
+
+  if (cited.sources.length === 0) return cited.text;
+
+  const footnotes = cited.sources.map((s, i) => footnote(i + 1, s)).join('\n');
+  return `${cited.text}\n\n${footnotes}`;
+}
+
+const FOOTNOTE_PATTERN = /^\[(\d+)\] \[(.*)\]\((\S+)\)$/;
+const CORPUS_FOOTNOTE_PATTERN = /^\[(\d+)\] 📚 (.+)$/;
+
+// Web sources are linked; corpus documents have nothing to link to, so they are named by path
+const footnote = (marker, source) => (isCorpusUrl(source.url)
+  ? `[${marker}] 📚 ${source.title}`
+  : `[${marker}] [${source.title}](${source.url})`);
+
+/**
+ * Split a reply from formatWithSources into its text and footnoted sources.
+ * Returns { text, sources: [{ marker, title, url }] }.
+ */
+export function splitSources(reply) {
+  const lines = reply.split('\n');
+  const sources = [];
+  for (;;) {
+    const web = lines.at(-1)?.match(FOOTNOTE_PATTERN);
+    const corpus = !web && lines.at(-1)?.match(CORPUS_FOOTNOTE_PATTERN);
+    if (web) {
+      sources.unshift({ marker: Number(web[1]), title: web[2], url: web[3] });
+    } else if (corpus) {
+      sources.unshift({ marker: Number(corpus[1]), title: corpus[2], url: corpusUrl(corpus[2]) });
+    } else {
+      break;
+    }
+    lines.pop();
+  }
+  return { text: lines.join('\n').trim(), sources };
 }
 
-export async function generateDebateResponse(messages, subject) {
+const CITATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    citations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          marker: { type: 'integer' },
+          evidence: { type: 'string' },
+        },
+        required: ['marker', 'evidence'],
+      },
+    },
+  },
+  required: ['text', 'citations'],
+};
+
+const MARKER_PATTERN = /\s?\[(\d+)\]/g;
+
+/**
+ * Map each factual claim in text to the source that supports it.
+ * The model marks supported claims with [n] and rewrites or drops unsupported ones. A marker must
+ * come with evidence quoted from source n, otherwise the claim is flagged [unverified].
+ * Markers are renumbered in order of appearance.
+ * Returns { text, sources } with only the cited sources, or null if the check failed.
+ */
+export async function verifyCitations(text, sources, { model, maxLength = MAX_DISCORD_LENGTH } = {}) {
+  const snippets = sources.map(s => String(s.snippet || '').substring(0, CITATION_SNIPPET_CHARS));
+  const sourceList = sources
+    .map((s, i) => `[${i + 1}] ${s.title} (${s.url})\n${snippets[i] || '(no excerpt)'}`)
+    .join('\n\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You are a fact-checking editor. You get a debate reply and numbered source excerpts.
+For each factual claim in the reply (numbers, dates, studies, events, quotes), find the excerpt that supports it.
+- If an excerpt supports the claim, put its marker like [2] right after the claim, and add a citation with that marker and the exact sentence from the excerpt as evidence.
+- If no excerpt supports a factual claim, rewrite it as a hedged opinion or remove it. Never cite a source for a claim it doesn't make.
+- Leave opinions, jokes and rhetoric alone and uncited.
+Keep the wording, tone and length of the reply otherwise unchanged (under ${maxLength} chars). Respond with JSON only.`,
+    },
+    { role: 'user', content: `REPLY:\n${text}\n\nSOURCES:\n${sourceList}` },
+  ];
+
+  try {
+    const startTime = Date.now();
+    const response = await chat('verify', {
+      model,
+      messages,
+      format: CITATION_SCHEMA,
+      options: { temperature: 0.2 },
+    });
+
+    const parsed = JSON.parse(response.message.content);
+    if (typeof parsed.text !== 'string' || !parsed.text.trim()) {
+      throw new Error('Missing text');
+    }
+
+    // A marker counts only if its evidence really appears in the source it points at
+    const supported = new Set();
+    for (const c of Array.isArray(parsed.citations) ? parsed.citations : []) {
+      const index = Number(c?.marker) - 1;
+      const evidence = normalizeText(String(c?.evidence || ''));
+      if (evidence && snippets[index] && normalizeText(snippets[index]).includes(evidence)) {
+        supported.add(index);
+      }
+    }
+
+    const order = [];
+    let unsupported = 0;
+    const cited = parsed.text.trim().replace(MARKER_PATTERN, (match, n) => {
+      const index = Number(n) - 1;
+      if (!supported.has(index)) {
+        unsupported++;
+        return ' [unverified]';
+      }
+      if (!order.includes(index)) order.push(index);
+      return `${match.startsWith(' ') ? ' ' : ''}[${order.indexOf(index) + 1}]`;
+    });
+
+    logger.ollama('verify', {
+      ms: Date.now() - startTime,
+      sources: sources.length,
+      cited: order.length,
+      unsupported,
+    });
+
+    return {
+      text: cited.length > maxLength ? text : cited,
+      sources: cited.length > maxLength ? [] : order.map(i => sources[i]),
+    };
+  } catch (error) {
+    logger.error('ollama', `Citation check failed: ${error.message}`);
+    return null;
+  }
+}
+
+export async function generateDebateResponse(messages, subject, {
+  opponents = [],
+  phase = null,
+  summary = null,
+  correction = null,
+  persona = DEFAULT_PERSONA,
+  systemPrompt = resolvePersona(persona).systemPrompt,
+  model,
+  maxLength = MAX_DISCORD_LENGTH,
+  onToken = null,
+  budget,
+} = {}) {
+  const style = resolvePersona(persona);
   const contextMessages = [
-    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'system', content: systemPrompt },
     { role: 'system', content: `Current date/time: ${getCurrentDateTime()}` },
     { role: 'system', content: `Current debate subject: ${subject}` },
-    ...messages,
   ];
 
-  const result = await chatWithTools(contextMessages);
-  return formatWithSources(result);
+  if (opponents.length > 1) {
+    contextMessages.push({
+      role: 'system',
+      content: `You are debating a team: ${opponents.join(', ')}. User messages are prefixed with the speaker's name. Rebut the team as a whole and address members by name when countering their specific points.`,
+    });
+  }
+
+  if (phase) {
+    contextMessages.push({
+      role: 'system',
+      content: `Debate phase: ${phase.name}. ${phase.instruction}`,
+    });
+  }
+
+  // Earlier turns may have scrolled out of the recent window
+  if (summary) {
+    contextMessages.push({ role: 'system', content: formatSummary(summary) });
+  }
+
+  contextMessages.push(...messages);
+
+  // Feedback on a rejected draft of this reply
+  if (correction) {
+    contextMessages.push({ role: 'system', content: correction });
+  }
+
+  const result = await chatWithTools(contextMessages, { model, nudge: style.toolNudge, onToken, budget });
+  return formatWithSources(result, { maxLength, style: style.condenseStyle });
 }
 
-export async function generateOpeningArgument(subject) {
+export async function generateOpeningArgument(subject, userSide = null, {
+  persona = DEFAULT_PERSONA,
+  model,
+  maxLength = MAX_DISCORD_LENGTH,
+  onToken = null,
+  budget,
+} = {}) {
+  const style = resolvePersona(persona);
+  const sideInstruction = userSide
+    ? `IMPORTANT: The user has chosen the ${userSide.toUpperCase()} side of this topic. You MUST argue the ${userSide === 'pro' ? 'CON' : 'PRO'} side.`
+    : `IMPORTANT: The user wants to debate this topic. If their topic implies a position (e.g., "X is good", "X sucks", "I love X"), you MUST take the OPPOSITE side. If it's neutral (e.g., just "pineapple on pizza"), pick the more contrarian/spicy take.`;
+
   const messages = [
-    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'system', content: style.systemPrompt },
     { role: 'system', content: `Current date/time: ${getCurrentDateTime()}` },
     { role: 'system', content: `Debate subject: ${subject}` },
     {
       role: 'user',
       content: `Topic: "${subject}"
 
-IMPORTANT: The user wants to debate this topic. If their topic implies a position (e.g., "X is good", "X sucks", "I love X"), you MUST take the OPPOSITE side. If it's neutral (e.g., just "pineapple on pizza"), pick the more contrarian/spicy take.
+${sideInstruction}
 
 State your position clearly upfront like "I'm arguing that X" or "My position: X". Then give your opening argument. Use web_search for facts. Be brief but make your stance crystal clear.`,
     },
   ];
 
-  const result = await chatWithTools(messages, { temperature: 0.85 });
-  return formatWithSources(result);
+  const result = await chatWithTools(messages, { model, nudge: style.toolNudge, onToken, budget, temperature: 0.85 });
+  return formatWithSources(result, { maxLength, style: style.condenseStyle });
+}
+
+/**
+ * Summarize an exhibition debate and pick a winner, taking the audience vote into account
+ */
+export async function generateExhibitionVerdict(subject, transcript, votes) {
+  const messages = [
+    {
+      role: 'system',
+      content: `You are an impartial debate judge. Read the transcript of an exhibition debate on "${subject}" between ${EXHIBITION_PERSONAS.pro.name} (for) and ${EXHIBITION_PERSONAS.con.name} (against).
+Summarize the strongest point from each side, then name the winner and why. Mention how the audience voted.
+MAX 4 sentences. No preamble.`,
+    },
+    {
+      role: 'user',
+      content: `Audience votes: ${EXHIBITION_PERSONAS.pro.name} ${votes.pro}, ${EXHIBITION_PERSONAS.con.name} ${votes.con}
+
+Transcript:
+${transcript}`,
+    },
+  ];
+
+  try {
+    const startTime = Date.now();
+    const response = await chat('judge', {
+      messages,
+      options: { temperature: 0.3 },
+    });
+
+    logger.ollama('verdict', { ms: Date.now() - startTime });
+    return response.message.content.trim();
+  } catch (error) {
+    logger.error('ollama', `Verdict failed: ${error.message}`);
+    return null;
+  }
+}
+
+const SIDE_SCORE_SCHEMA = {
+  type: 'object',
+  properties: {
+    evidence: { type: 'integer', minimum: 1, maximum: 10 },
+    logic: { type: 'integer', minimum: 1, maximum: 10 },
+    rebuttal: { type: 'integer', minimum: 1, maximum: 10 },
+  },
+  required: ['evidence', 'logic', 'rebuttal'],
+};
+
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: {
+      type: 'object',
+      properties: { bot: SIDE_SCORE_SCHEMA, opponent: SIDE_SCORE_SCHEMA },
+      required: ['bot', 'opponent'],
+    },
+    winner: { type: 'string', enum: ['bot', 'opponent', 'draw'] },
+    turningPoints: { type: 'array', items: { type: 'string' } },
+    fallacies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          side: { type: 'string', enum: ['bot', 'opponent'] },
+          type: { type: 'string' },
+          quote: { type: 'string' },
+        },
+        required: ['side', 'type', 'quote'],
+      },
+    },
+    summary: { type: 'string' },
+  },
+  required: ['scores', 'winner', 'turningPoints', 'fallacies', 'summary'],
+};
+
+const clampScore = (n) => Math.min(10, Math.max(1, Math.round(Number(n) || 1)));
+
+/**
+ * Check the judge's JSON against VERDICT_SCHEMA and normalize it.
+ * Returns null if it's unusable.
+ */
+function validateVerdict(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.scores?.bot || !raw.scores?.opponent) return null;
+  if (!['bot', 'opponent', 'draw'].includes(raw.winner)) return null;
+
+  const side = (s) => ({ evidence: clampScore(s.evidence), logic: clampScore(s.logic), rebuttal: clampScore(s.rebuttal) });
+
+  return {
+    scores: { bot: side(raw.scores.bot), opponent: side(raw.scores.opponent) },
+    winner: raw.winner,
+    turningPoints: Array.isArray(raw.turningPoints) ? raw.turningPoints.map(String).slice(0, 5) : [],
+    fallacies: Array.isArray(raw.fallacies)
+      ? raw.fallacies
+        .filter(f => f && ['bot', 'opponent'].includes(f.side) && f.type && f.quote)
+        .map(f => ({ side: f.side, type: String(f.type), quote: String(f.quote) }))
+        .slice(0, 10)
+      : [],
+    summary: String(raw.summary || ''),
+  };
+}
+
+/**
+ * Judge a finished debate from its transcript and return a structured scorecard
+ */
+export async function judgeDebate(subject, transcript, opponentNames = [], { model } = {}) {
+  const opponentLabel = opponentNames.length > 0 ? opponentNames.join(', ') : 'the user';
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You are an impartial debate judge. The debate subject is "${subject}".
+"BOT" is one side. The opponent side is ${opponentLabel}.
+Judge only the arguments in the transcript, not tone or confidence.
+Score each side 1-10 for evidence, logic and rebuttal. Pick the winner ("bot", "opponent" or "draw").
+List up to 5 key turning points, and every logical fallacy committed with an exact quote from the transcript.
+Finish with a 1-2 sentence summary. Respond with JSON only.`,
+    },
+    { role: 'user', content: transcript },
+  ];
+
+  try {
+    const startTime = Date.now();
+    const response = await chat('judge', {
+      model,
+      messages,
+      format: VERDICT_SCHEMA,
+      options: { temperature: 0.2 },
+    });
+
+    const verdict = validateVerdict(JSON.parse(response.message.content));
+    logger.ollama('judge', { ms: Date.now() - startTime, winner: verdict?.winner || '(invalid)' });
+    return verdict;
+  } catch (error) {
+    logger.error('ollama', `Judging failed: ${error.message}`);
+    return null;
+  }
 }
 
-export async function analyzeForFallacies(text) {
+// Fallacies the analyzer may report; anything else is discarded
+export const FALLACY_TYPES = [
+  'ad hominem',
+  'strawman',
+  'false dilemma',
+  'slippery slope',
+  'appeal to authority',
+  'appeal to emotion',
+  'appeal to popularity',
+  'circular reasoning',
+  'hasty generalization',
+  'red herring',
+  'tu quoque',
+  'whataboutism',
+  'false cause',
+  'moving the goalposts',
+  'no true scotsman',
+];
+
+export const FALLACY_SEVERITIES = ['minor', 'moderate', 'major'];
+
+const FALLACY_SCHEMA = {
+  type: 'object',
+  properties: {
+    fallacies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: FALLACY_TYPES },
+          quote: { type: 'string' },
+          explanation: { type: 'string' },
+          severity: { type: 'string', enum: FALLACY_SEVERITIES },
+        },
+        required: ['type', 'quote', 'explanation', 'severity'],
+      },
+    },
+  },
+  required: ['fallacies'],
+};
+
+const normalizeText = (t) => t.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Analyze text for logical fallacies.
+ * Returns an array of { type, quote, explanation, severity } (empty if sound), or null on failure.
+ * Entries outside the taxonomy or quoting text that isn't in the message are dropped.
+ */
+export async function analyzeForFallacies(text, { model } = {}) {
   const messages = [
     {
       role: 'system',
       content: `You are a logic expert. Analyze the following text for logical fallacies.
-If you find fallacies, list them with brief explanations.
-If the text is logically sound, say "No significant fallacies detected."
-Be concise.`,
+Only report clear fallacies from this list: ${FALLACY_TYPES.join(', ')}.
+For each one, quote the exact sentence that commits it, explain it in one sentence, and rate its severity (minor, moderate or major).
+If the text is logically sound, return an empty list. Respond with JSON only.`,
     },
     { role: 'user', content: text },
   ];
 
   try {
     const startTime = Date.now();
-    const response = await ollama.chat({
-      model: MODEL,
+    const response = await chat('fallacy', {
+      model,
       messages,
+      format: FALLACY_SCHEMA,
       options: { temperature: 0.3 },
     });
 
-    const hasFallacies = !response.message.content.includes('No significant fallacies');
-    logger.ollama('fallacy', { ms: Date.now() - startTime, found: hasFallacies });
+    const parsed = JSON.parse(response.message.content);
+    const source = normalizeText(text);
+    const fallacies = (Array.isArray(parsed.fallacies) ? parsed.fallacies : [])
+      .filter(f => f
+        && FALLACY_TYPES.includes(f.type)
+        && FALLACY_SEVERITIES.includes(f.severity)
+        && typeof f.quote === 'string'
+        && normalizeText(f.quote).length > 0
+        && source.includes(normalizeText(f.quote)))
+      .map(f => ({
+        type: f.type,
+        quote: f.quote.trim(),
+        explanation: String(f.explanation || '').trim(),
+        severity: f.severity,
+      }));
+
+    metrics.generationSeconds.observe({ type: 'fallacy' }, (Date.now() - startTime) / 1000);
+    logger.ollama('fallacy', {
+      ms: Date.now() - startTime,
+      found: fallacies.length,
+      dropped: (parsed.fallacies?.length || 0) - fallacies.length,
+    });
 
-    return response.message.content;
+    return fallacies;
   } catch (error) {
     logger.error('ollama', `Fallacy analysis failed: ${error.message}`);
     return null;
   }
 }
 
-const MAX_DISCORD_LENGTH = 500; // Short, punchy responses
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    botPosition: { type: 'string' },
+    botClaims: { type: 'array', items: { type: 'string' } },
+    opponentPoints: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['botPosition', 'botClaims', 'opponentPoints'],
+};
+
+const MAX_SUMMARY_POINTS = 8;
+
+const bulletList = (items) => items.length > 0 ? items.map(i => `- ${i}`).join('\n') : '- (none yet)';
+
+/**
+ * Render a debate summary as a system prompt
+ */
+function formatSummary(summary) {
+  return `Debate so far (older turns may no longer be shown):
+Your declared position: ${summary.botPosition || '(not stated yet)'}
+Your key claims so far:
+${bulletList(summary.botClaims)}
+Opponent's main points so far:
+${bulletList(summary.opponentPoints)}
+Stay consistent with your position. Build on your claims instead of repeating them, and answer the opponent's points.`;
+}
+
+/**
+ * Fold new turns ({ role, author, content }) into the rolling summary of a debate.
+ * Returns { botPosition, botClaims, opponentPoints }, or null on failure.
+ */
+export async function summarizeDebate(subject, previous, turns, { model } = {}) {
+  const transcript = turns
+    .map(t => `${t.role === 'assistant' ? 'BOT' : (t.author || 'OPPONENT')}: ${t.content}`)
+    .join('\n\n');
+
+  const messages = [
+    {
+      role: 'system',
+      content: `You keep running notes on a debate about "${subject}" between BOT and its opponent(s).
+Update the notes with the new turns:
+- botPosition: the position BOT declared, in one sentence. Keep it unless BOT restated it.
+- botClaims: BOT's key claims and evidence so far, one short line each.
+- opponentPoints: the opponent's main arguments so far, one short line each (name the speaker if there are several).
+Merge duplicates and keep at most ${MAX_SUMMARY_POINTS} items per list, dropping the least important. Respond with JSON only.`,
+    },
+    {
+      role: 'user',
+      content: `CURRENT NOTES:\n${JSON.stringify(previous || { botPosition: '', botClaims: [], opponentPoints: [] })}\n\nNEW TURNS:\n${transcript}`,
+    },
+  ];
+
+  try {
+    const startTime = Date.now();
+    const response = await chat('condense', {
+      model,
+      messages,
+      format: SUMMARY_SCHEMA,
+      options: { temperature: 0.2 },
+    });
+
+    const parsed = JSON.parse(response.message.content);
+    const list = (items) => (Array.isArray(items) ? items : [])
+      .map(i => String(i).trim())
+      .filter(Boolean)
+      .slice(0, MAX_SUMMARY_POINTS);
+
+    const summary = {
+      botPosition: String(parsed.botPosition || previous?.botPosition || '').trim(),
+      botClaims: list(parsed.botClaims),
+      opponentPoints: list(parsed.opponentPoints),
+    };
+
+    logger.ollama('summarized', {
+      ms: Date.now() - startTime,
+      turns: turns.length,
+      claims: summary.botClaims.length,
+      points: summary.opponentPoints.length,
+    });
+    return summary;
+  } catch (error) {
+    logger.error('ollama', `Summary failed: ${error.message}`);
+    return null;
+  }
+}
+
+const STANCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    side: { type: 'string', enum: ['pro', 'con'] },
+    position: { type: 'string' },
+  },
+  required: ['side', 'position'],
+};
 
-export async function condenseIfNeeded(text, maxLength = MAX_DISCORD_LENGTH) {
+/**
+ * Pull the bot's stance out of its opening argument.
+ * Returns { side, position } where side is 'pro' or 'con' on the subject, or null on failure.
+ */
+export async function extractStance(subject, opening, { model } = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: `Read the opening argument of a debate about "${subject}".
+State the position it commits to in one sentence, and whether that is "pro" (for) or "con" (against) the subject as worded. Respond with JSON only.`,
+    },
+    { role: 'user', content: opening },
+  ];
+
+  try {
+    const response = await chat('verify', {
+      model,
+      messages,
+      format: STANCE_SCHEMA,
+      options: { temperature: 0 },
+    });
+
+    const parsed = JSON.parse(response.message.content);
+    if (!['pro', 'con'].includes(parsed.side) || !String(parsed.position || '').trim()) return null;
+
+    return { side: parsed.side, position: parsed.position.trim() };
+  } catch (error) {
+    logger.error('ollama', `Stance extraction failed: ${error.message}`);
+    return null;
+  }
+}
+
+const STANCE_CHECK_SCHEMA = {
+  type: 'object',
+  properties: {
+    contradicts: { type: 'boolean' },
+    explanation: { type: 'string' },
+  },
+  required: ['contradicts', 'explanation'],
+};
+
+/**
+ * Check a candidate reply against the bot's stance.
+ * Returns { contradicts, explanation }, or null if the check failed.
+ */
+export async function checkStance(subject, stance, reply, { model } = {}) {
+  const messages = [
+    {
+      role: 'system',
+      content: `A debater arguing "${stance.position}" (${stance.side} on "${subject}") wrote the reply below.
+Does the reply abandon or contradict that position - conceding the opponent is right, switching sides, or arguing the opposite?
+Acknowledging a fair point while still defending the position is NOT a contradiction. Explain in one sentence. Respond with JSON only.`,
+    },
+    { role: 'user', content: reply },
+  ];
+
+  try {
+    const response = await chat('verify', {
+      model,
+      messages,
+      format: STANCE_CHECK_SCHEMA,
+      options: { temperature: 0 },
+    });
+
+    const parsed = JSON.parse(response.message.content);
+    return { contradicts: parsed.contradicts === true, explanation: String(parsed.explanation || '').trim() };
+  } catch (error) {
+    logger.error('ollama', `Stance check failed: ${error.message}`);
+    return null;
+  }
+}
+
+export const FACT_CHECK_VERDICTS = ['supported', 'disputed', 'unsupported'];
+
+const FACT_CHECK_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          claim: { type: 'string' },
+          verdict: { type: 'string', enum: FACT_CHECK_VERDICTS },
+          evidence: { type: 'string' },
+          source: { type: 'integer' },
+        },
+        required: ['claim', 'verdict', 'evidence', 'source'],
+      },
+    },
+  },
+  required: ['claims'],
+};
+
+/**
+ * Re-research the factual claims in one of the bot's replies with the web tools.
+ * Returns { verdict, claims: [{ claim, verdict, evidence, source }] } where each source is
+ * { title, url } or null. The overall verdict is the worst claim's (disputed, then unsupported). Null on failure.
+ */
+export async function factCheckReply(text, subject, { model, budget } = {}) {
+  const research = [
+    {
+      role: 'system',
+      content: `You are an independent fact-checker. Current date/time: ${getCurrentDateTime()}.
+A debater made the statement below in a debate about "${subject}".
+Identify its checkable factual claims (statistics, dates, studies, events, quotes) and research each one with the tools.
+Look for evidence that contradicts the claims as hard as for evidence that supports them.
+Report what you found for each claim. Ignore opinions and rhetoric.`,
+    },
+    { role: 'user', content: text },
+  ];
+
+  try {
+    const startTime = Date.now();
+    const notes = await chatWithTools(research, {
+      model,
+      budget,
+      nudge: 'Based on what you found, report the evidence for and against each claim.',
+      temperature: 0.2,
+    });
+
+    const sourceList = notes.sources
+      .map((s, i) => `[${i + 1}] ${s.title} (${s.url})\n${String(s.snippet || '').substring(0, CITATION_SNIPPET_CHARS)}`)
+      .join('\n\n');
+
+    const response = await chat('verify', {
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: `You are an independent fact-checker. For each factual claim in the STATEMENT, give a verdict:
+"supported" if the sources back it, "disputed" if the sources contradict it, "unsupported" if nothing found backs it up.
+Give one sentence of evidence and the number of the source it comes from (0 if none). Respond with JSON only.`,
+        },
+        {
+          role: 'user',
+          content: `STATEMENT:\n${text}\n\nRESEARCH NOTES:\n${notes.content}\n\nSOURCES:\n${sourceList || '(none)'}`,
+        },
+      ],
+      format: FACT_CHECK_SCHEMA,
+      options: { temperature: 0.2 },
+    });
+
+    const parsed = JSON.parse(response.message.content);
+    const claims = (Array.isArray(parsed.claims) ? parsed.claims : [])
+      .filter(c => c && typeof c.claim === 'string' && c.claim.trim() && FACT_CHECK_VERDICTS.includes(c.verdict))
+      .map(c => {
+        const source = notes.sources[Number(c.source) - 1] || null;
+        return {
+          claim: c.claim.trim(),
+          // Without a source, nothing was shown either way
+          verdict: source ? c.verdict : 'unsupported',
+          evidence: String(c.evidence || '').trim(),
+          source: source && { title: source.title, url: source.url },
+        };
+      })
+      .slice(0, 5);
+
+    // The reply is only as good as its weakest claim
+    const overall = ['disputed', 'unsupported'].find(v => claims.some(c => c.verdict === v)) || 'supported';
+
+    logger.ollama('fact_check', { ms: Date.now() - startTime, claims: claims.length, verdict: overall });
+    return { verdict: overall, claims };
+  } catch (error) {
+    logger.error('ollama', `Fact-check failed: ${error.message}`);
+    return null;
+  }
+}
+
+export async function condenseIfNeeded(text, maxLength = MAX_DISCORD_LENGTH, {
+  model,
+  style = PERSONAS[DEFAULT_PERSONA].condenseStyle,
+} = {}) {
   if (text.length <= maxLength) return text;
 
   logger.ollama('condensing', { from: text.length, to: maxLength });
@@ -223,20 +999,22 @@ export async function condenseIfNeeded(text, maxLength = MAX_DISCORD_LENGTH) {
   const messages = [
     {
       role: 'system',
-      content: `Condense to under ${maxLength} chars. Keep it snarky, Reddit-style. 1-2 sentences max. Preserve the burn and any facts. No preamble.`,
+      content: `Condense to under ${maxLength} chars. ${style} No preamble.`,
     },
     { role: 'user', content: text },
   ];
 
   try {
-    const response = await ollama.chat({
-      model: MODEL,
+    const startTime = Date.now();
+    const response = await chat('condense', {
+      model,
       messages,
       options: { temperature: 0.3 },
     });
 
     const condensed = response.message.content.trim();
     logger.ollama('condensed', { len: condensed.length });
+    metrics.generationSeconds.observe({ type: 'condensed' }, (Date.now() - startTime) / 1000);
 
     // If still too long, truncate with ellipsis
     if (condensed.length > maxLength) {
@@ -0,0 +1,104 @@
+import { logger } from './logger.js';
+import { createStore } from './storage.js';
+
+const STARTING_RATING = 1200;
+const BOT_RATING = 1500;  // Fixed rating for the bot; users are rated against it
+const K_FACTOR = 32;
+const MAX_HISTORY = 50;
+
+// Elo score for each outcome from the user's point of view
+const OUTCOME_SCORES = { win: 1, draw: 0.5, loss: 0, concession: 0, abandonment: 0 };
+const OUTCOME_COUNTERS = { win: 'wins', draw: 'draws', loss: 'losses', concession: 'concessions', abandonment: 'abandonments' };
+// Elimination reasons that count as a loss even if the rest of the team goes on to win
+const LOSING_ELIMINATIONS = ['fallacies_detected', 'opponent_inactive'];
+
+/**
+ * Per-guild user records: outcomes, Elo rating against the bot and recent debate history
+ */
+export class ProfileManager {
+  constructor(store = createStore('profiles')) {
+    this.profiles = store;
+  }
+
+  key(guildId, userId) {
+    return `${guildId}:${userId}`;
+  }
+
+  getProfile(guildId, userId) {
+    return this.profiles.get(this.key(guildId, userId)) || null;
+  }
+
+  getOrCreateProfile(guildId, userId, username) {
+    const existing = this.getProfile(guildId, userId);
+    if (existing) {
+      if (username) existing.username = username;
+      return existing;
+    }
+
+    return {
+      guildId,
+      userId,
+      username,
+      rating: STARTING_RATING,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      concessions: 0,
+      abandonments: 0,
+      history: [],
+    };
+  }
+
+  /**
+   * Work out a participant's outcome from the finished debate.
+   * Team members knocked out along the way keep their own result, whatever the rest of the team does.
+   */
+  getOutcome(debate, participant) {
+    if (participant.eliminatedReason === 'conceded') return 'concession';
+    if (participant.eliminatedReason === 'abandoned') return 'abandonment';
+    if (LOSING_ELIMINATIONS.includes(participant.eliminatedReason)) return 'loss';
+    if (debate.winner === 'opponent') return 'win';
+    if (debate.winner === 'draw') return 'draw';
+    if (debate.endReason === 'conceded') return 'concession';
+    if (debate.endReason === 'abandoned') return 'abandonment';
+    return 'loss';
+  }
+
+  /**
+   * Record the outcome of an ended debate for every participant
+   */
+  recordDebate(debate) {
+    if (!debate.guildId) return;
+
+    for (const participant of Object.values(debate.participants)) {
+      const outcome = this.getOutcome(debate, participant);
+      const profile = this.getOrCreateProfile(debate.guildId, participant.userId, participant.username);
+
+      const expected = 1 / (1 + 10 ** ((BOT_RATING - profile.rating) / 400));
+      const ratingChange = Math.round(K_FACTOR * (OUTCOME_SCORES[outcome] - expected));
+
+      profile.rating += ratingChange;
+      profile[OUTCOME_COUNTERS[outcome]]++;
+      profile.history.unshift({
+        threadId: debate.threadId,
+        subject: debate.subject,
+        outcome,
+        durationMs: (debate.endedAt || Date.now()) - debate.createdAt,
+        fallacies: participant.fallacyCount,
+        ratingChange,
+        endedAt: debate.endedAt || Date.now(),
+      });
+      profile.history = profile.history.slice(0, MAX_HISTORY);
+
+      this.profiles.set(this.key(debate.guildId, participant.userId), profile);
+      logger.debate('outcome_recorded', { userId: participant.userId, outcome, rating: profile.rating, ratingChange });
+    }
+  }
+
+  getLeaderboard(guildId, limit = 10) {
+    return this.profiles.values()
+      .filter(p => p.guildId === guildId)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,53 @@
+import { Ollama } from 'ollama';
+
+const toUsage = (response) => ({
+  promptTokens: response.prompt_eval_count || 0,
+  completionTokens: response.eval_count || 0,
+});
+
+/**
+ * LLM provider for an Ollama server
+ */
+export class OllamaProvider {
+  constructor({ host = process.env.OLLAMA_HOST || 'http://localhost:11434' } = {}) {
+    this.name = 'ollama';
+    this.client = new Ollama({ host });
+  }
+
+  /**
+   * Throws if the server can't be reached
+   */
+  async ping() {
+    await this.client.list();
+  }
+
+  /**
+   * Chat completion, streamed when onToken is given. onToken receives the full content so far.
+   * Resolves to { message: { role, content, tool_calls }, usage: { promptTokens, completionTokens } }.
+   */
+  async chat({ model, messages, tools, format, options }, onToken = null) {
+    const request = { model, messages, tools, format, options };
+
+    if (!onToken) {
+      const response = await this.client.chat(request);
+      return { message: response.message, usage: toUsage(response) };
+    }
+
+    const stream = await this.client.chat({ ...request, stream: true });
+    const message = { role: 'assistant', content: '' };
+    let usage = null;
+
+    for await (const chunk of stream) {
+      if (chunk.done) usage = toUsage(chunk);
+      if (chunk.message?.tool_calls?.length) {
+        message.tool_calls = [...(message.tool_calls || []), ...chunk.message.tool_calls];
+      }
+      if (chunk.message?.content) {
+        message.content += chunk.message.content;
+        onToken(message.content);
+      }
+    }
+
+    return { message, usage };
+  }
+}
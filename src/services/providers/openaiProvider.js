@@ -0,0 +1,178 @@
+const toUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens || 0,
+  completionTokens: usage?.completion_tokens || 0,
+});
+
+/**
+ * LLM provider for OpenAI-compatible chat completion endpoints
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider {
+  constructor({
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+  } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Convert Ollama-style messages to OpenAI's shape. Tool results get the ID of
+   * the tool call they answer, matched in order.
+   */
+  toOpenAIMessages(messages) {
+    const pendingIds = [];
+
+    return messages.map(m => {
+      if (m.role === 'assistant' && m.tool_calls?.length) {
+        const toolCalls = m.tool_calls.map((tc, i) => {
+          const id = tc.id || `call_${pendingIds.length + i}`;
+          return {
+            id,
+            type: 'function',
+            function: {
+              name: tc.function.name,
+              arguments: typeof tc.function.arguments === 'string'
+                ? tc.function.arguments
+                : JSON.stringify(tc.function.arguments || {}),
+            },
+          };
+        });
+        pendingIds.push(...toolCalls.map(tc => tc.id));
+        return { role: 'assistant', content: m.content || null, tool_calls: toolCalls };
+      }
+
+      if (m.role === 'tool') {
+        return { role: 'tool', content: m.content, tool_call_id: pendingIds.shift() || 'call_0' };
+      }
+
+      return { role: m.role, content: m.content };
+    });
+  }
+
+  /**
+   * Convert OpenAI tool calls back to Ollama's shape with parsed arguments
+   */
+  fromOpenAIToolCalls(toolCalls) {
+    return toolCalls.map(tc => {
+      let args = tc.function?.arguments || '{}';
+      try {
+        args = JSON.parse(args);
+      } catch {
+        // Leave unparseable arguments as a string; executeToolCall reports them
+      }
+      return { id: tc.id, function: { name: tc.function?.name, arguments: args } };
+    });
+  }
+
+  buildBody({ model, messages, tools, format, options = {} }, stream) {
+    const body = {
+      model,
+      messages: this.toOpenAIMessages(messages),
+      stream,
+    };
+
+    if (stream) body.stream_options = { include_usage: true };
+    if (tools?.length) body.tools = tools;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.top_p !== undefined) body.top_p = options.top_p;
+    if (format && typeof format === 'object') {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+    } else if (format === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  async request(body) {
+    const res = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      throw new Error(`Chat completion failed: ${res.status} ${res.statusText}`);
+    }
+
+    return res;
+  }
+
+  /**
+   * Throws if the server can't be reached
+   */
+  async ping() {
+    const res = await fetch(`${this.baseUrl}/models`, {
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+    });
+    if (!res.ok) {
+      throw new Error(`Model list failed: ${res.status} ${res.statusText}`);
+    }
+  }
+
+  /**
+   * Chat completion, streamed when onToken is given. onToken receives the full content so far.
+   * Resolves to { message: { role, content, tool_calls }, usage } like the Ollama provider.
+   */
+  async chat(request, onToken = null) {
+    const res = await this.request(this.buildBody(request, !!onToken));
+
+    if (!onToken) {
+      const data = await res.json();
+      const choice = data.choices?.[0]?.message || {};
+      return {
+        message: {
+          role: 'assistant',
+          content: choice.content || '',
+          ...(choice.tool_calls?.length ? { tool_calls: this.fromOpenAIToolCalls(choice.tool_calls) } : {}),
+        },
+        usage: toUsage(data.usage),
+      };
+    }
+
+    // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    let usage = null;
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of res.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+
+        const event = JSON.parse(data);
+        if (event.usage) usage = toUsage(event.usage);
+
+        const delta = event.choices?.[0]?.delta || {};
+        if (delta.content) {
+          message.content += delta.content;
+          onToken(message.content);
+        }
+        // Tool call arguments arrive in fragments keyed by index
+        for (const tc of delta.tool_calls || []) {
+          const existing = toolCalls[tc.index] ||= { id: tc.id, function: { name: '', arguments: '' } };
+          if (tc.id) existing.id = tc.id;
+          if (tc.function?.name) existing.function.name += tc.function.name;
+          if (tc.function?.arguments) existing.function.arguments += tc.function.arguments;
+        }
+      }
+    }
+
+    if (toolCalls.length > 0) {
+      message.tool_calls = this.fromOpenAIToolCalls(toolCalls.filter(Boolean));
+    }
+
+    return { message, usage };
+  }
+}
@@ -0,0 +1,97 @@
+import { logger } from './logger.js';
+
+const CHECK_INTERVAL_MS = parseInt(process.env.DEBATE_CHECK_INTERVAL_SECONDS || '30', 10) * 1000;
+// Never below an hour: the hourly start limits count ended debates
+const RETENTION_MS = Math.max(parseFloat(process.env.DEBATE_RETENTION_HOURS || '24'), 1) * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Periodically checks active debates for opponents who stopped replying.
+ * Per debate, from its lastActivity: a timed phase's clock running out calls onTurnExpired(debate, phase),
+ * idleReminderMinutes calls onReminder(debate, msUntilForfeit) once, and idleForfeitMinutes calls onForfeit(debate, idleMs).
+ * Ended debates are evicted from the manager after DEBATE_RETENTION_HOURS.
+ */
+export class DebateScheduler {
+  constructor({
+    debateManager,
+    settings,
+    onReminder,
+    onForfeit,
+    onTurnExpired,
+    intervalMs = CHECK_INTERVAL_MS,
+    retentionMs = RETENTION_MS,
+  }) {
+    this.debateManager = debateManager;
+    this.settings = settings;
+    this.onReminder = onReminder;
+    this.onForfeit = onForfeit;
+    this.onTurnExpired = onTurnExpired;
+    this.intervalMs = intervalMs;
+    this.retentionMs = retentionMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't hold the process open for the scheduler alone
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one pass over the debates. Passes don't overlap; a slow one makes the next tick skip.
+   */
+  async tick(now = Date.now()) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (const debate of this.debateManager.debates.values()) {
+        if (!this.isWaiting(debate)) continue;
+
+        await logger.withContext({ guildId: debate.guildId, threadId: debate.threadId, debateId: debate.id }, () =>
+          this.checkDebate(debate, now).catch(error =>
+            logger.error('scheduler', 'Idle check failed', { error: error.message })));
+      }
+      this.debateManager.evictEnded(now - this.retentionMs);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * True if the debate is waiting on its opponent: active, not an exhibition, opened by the bot,
+   * and with no bot turn, judgement or conclusion in progress
+   */
+  isWaiting(debate) {
+    return debate.status === 'active' &&
+      debate.mode !== 'exhibition' &&
+      this.debateManager.hasOpened(debate) &&
+      !debate.victoryClaimed &&
+      !this.debateManager.concluding.has(debate.threadId) &&
+      !this.debateManager.pendingTurns.has(debate.threadId);
+  }
+
+  async checkDebate(debate, now) {
+    const { idleReminderMinutes, idleForfeitMinutes } = this.settings.get(debate.guildId);
+    const lastActivity = debate.lastActivity || debate.createdAt;
+    const idle = now - lastActivity;
+    const phase = this.debateManager.getPhase(debate);
+
+    if (idle >= idleForfeitMinutes * MINUTE_MS) {
+      await this.onForfeit(debate, idle);
+    } else if (phase?.turnSeconds && idle >= phase.turnSeconds * 1000) {
+      await this.onTurnExpired(debate, phase);
+    } else if (idle >= idleReminderMinutes * MINUTE_MS && debate.remindedSince !== lastActivity) {
+      // One reminder per quiet spell; any activity moves lastActivity on and re-arms it
+      debate.remindedSince = lastActivity;
+      this.debateManager.saveDebate(debate);
+      await this.onReminder(debate, idleForfeitMinutes * MINUTE_MS - idle);
+    }
+  }
+}
@@ -0,0 +1,165 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from '../logger.js';
+
+const EXTENSIONS = new Set(['.md', '.markdown', '.txt', '.pdf']);
+const CHUNK_CHARS = 800;
+
+// BM25 parameters
+const K1 = 1.5;
+const B = 0.75;
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have in is it its of on or that the '
+  + 'this to was were which will with not no do does did what who why how').split(' '));
+
+function tokenize(text) {
+  return text.toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Split text into paragraph-aligned chunks of roughly CHUNK_CHARS
+ */
+function chunkText(text) {
+  const chunks = [];
+  let current = '';
+
+  for (const para of text.split(/\n\s*\n/)) {
+    const trimmed = para.trim();
+    if (!trimmed) continue;
+    if (current && current.length + trimmed.length > CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${trimmed}` : trimmed;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full);
+    return EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [full] : [];
+  }));
+  return files.flat();
+}
+
+async function readDocument(file) {
+  if (path.extname(file).toLowerCase() !== '.pdf') {
+    return fs.readFile(file, 'utf8');
+  }
+  // The package entry point runs a self-test when imported as ESM, so load the library directly
+  const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+  const data = await pdfParse(await fs.readFile(file));
+  return data.text;
+}
+
+/**
+ * Offline knowledge base: a folder of Markdown, text and PDF files,
+ * chunked and ranked with BM25. Indexed lazily on first use.
+ */
+export class LocalCorpus {
+  constructor(dir = process.env.LOCAL_CORPUS_DIR) {
+    this.dir = dir;
+    this.chunks = [];
+    this.docFreq = new Map();
+    this.avgLength = 0;
+    this.indexing = null;
+  }
+
+  isAvailable() {
+    return !!this.dir;
+  }
+
+  ready() {
+    this.indexing ??= this.buildIndex().catch(error => {
+      logger.error('tools', `Failed to index local corpus: ${error.message}`, { dir: this.dir });
+      this.indexing = null;
+    });
+    return this.indexing;
+  }
+
+  async buildIndex() {
+    const startTime = Date.now();
+    const files = await listFiles(this.dir);
+    const chunks = [];
+
+    for (const file of files) {
+      try {
+        const text = await readDocument(file);
+        const relPath = path.relative(this.dir, file);
+        chunkText(text).forEach((content, i) => {
+          const terms = new Map();
+          for (const token of tokenize(content)) {
+            terms.set(token, (terms.get(token) || 0) + 1);
+          }
+          chunks.push({ path: relPath, index: i, content, terms, length: [...terms.values()].reduce((a, b) => a + b, 0) });
+        });
+      } catch (error) {
+        logger.warn('tools', `Skipping ${file}: ${error.message}`);
+      }
+    }
+
+    const docFreq = new Map();
+    for (const chunk of chunks) {
+      for (const term of chunk.terms.keys()) {
+        docFreq.set(term, (docFreq.get(term) || 0) + 1);
+      }
+    }
+
+    this.chunks = chunks;
+    this.docFreq = docFreq;
+    this.avgLength = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+
+    logger.info('tools', 'Indexed local corpus', {
+      dir: this.dir, files: files.length, chunks: chunks.length, ms: Date.now() - startTime,
+    });
+  }
+
+  /**
+   * Returns the best matching chunks as an array of { path, snippet, score }
+   */
+  async search(query, maxResults = 5) {
+    await this.ready();
+
+    const queryTerms = [...new Set(tokenize(query))];
+    const n = this.chunks.length;
+
+    return this.chunks
+      .map(chunk => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const tf = chunk.terms.get(term);
+          if (!tf) continue;
+          const df = this.docFreq.get(term);
+          const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / this.avgLength));
+        }
+        return { chunk, score };
+      })
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults)
+      .map(({ chunk, score }) => ({
+        path: chunk.path,
+        snippet: chunk.content,
+        score: Math.round(score * 100) / 100,
+      }));
+  }
+
+  /**
+   * Full text of one indexed document, by its path relative to the corpus folder
+   */
+  async read(relPath) {
+    await this.ready();
+
+    const chunks = this.chunks.filter(c => c.path === relPath);
+    if (!chunks.length) return null;
+    return chunks.map(c => c.content).join('\n\n');
+  }
+}
@@ -0,0 +1,57 @@
+import { logger } from '../logger.js';
+import { fetchWithRetry, RateLimiter } from '../http.js';
+
+const OLLAMA_API_BASE = 'https://ollama.com/api';
+
+// Stay under the Ollama web API quota across all debates
+const WEB_API_RATE_PER_MINUTE = parseInt(process.env.WEB_API_RATE_PER_MINUTE || '30', 10);
+
+/**
+ * Web search and fetch through the hosted Ollama web API (needs OLLAMA_API_KEY)
+ */
+export class OllamaSearchBackend {
+  constructor({ apiKey = process.env.OLLAMA_API_KEY, timeouts } = {}) {
+    this.name = 'ollama';
+    this.apiKey = apiKey;
+    this.timeouts = timeouts;
+    this.limiter = new RateLimiter(WEB_API_RATE_PER_MINUTE);
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  async request(endpoint, body, timeoutMs) {
+    const res = await fetchWithRetry(`${OLLAMA_API_BASE}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`,
+      },
+      body: JSON.stringify(body),
+    }, { timeoutMs, limiter: this.limiter });
+
+    if (!res.ok) {
+      throw new Error(`Ollama ${endpoint} failed: ${res.status} ${res.statusText}`);
+    }
+
+    return res.json();
+  }
+
+  /**
+   * Returns an array of { title, url, snippet }
+   */
+  async search(query, maxResults = 5) {
+    const data = await this.request('web_search', { query, max_results: maxResults }, this.timeouts.web_search);
+    logger.debug('tools', 'Ollama search results', { count: data.results?.length || 0 });
+    return (data.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.content }));
+  }
+
+  /**
+   * Returns { title, content }
+   */
+  async fetch(url) {
+    const data = await this.request('web_fetch', { url }, this.timeouts.web_fetch);
+    return { title: data.title, content: data.content };
+  }
+}
@@ -0,0 +1,99 @@
+import { logger } from '../logger.js';
+import { fetchWithRetry } from '../http.js';
+import { assertPublicUrl } from './urlGuard.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; DebateBot/1.0)';
+const MAX_REDIRECTS = 5;
+// Pages are cut down to a few thousand characters anyway
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Crude HTML to text: drops scripts, styles and tags, decodes common entities
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(head|script|style|noscript|svg|nav|footer|header)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (match, code) => {
+      if (code[0] !== '#') return ENTITIES[code.toLowerCase()] ?? match;
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    })
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Web search through a self-hosted SearXNG instance (JSON output must be enabled
+ * in its settings.yml). Pages are fetched directly and reduced to plain text.
+ */
+export class SearxngBackend {
+  constructor({ baseUrl = process.env.SEARXNG_URL, timeouts } = {}) {
+    this.name = 'searxng';
+    this.baseUrl = baseUrl?.replace(/\/+$/, '');
+    this.timeouts = timeouts;
+  }
+
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Returns an array of { title, url, snippet }
+   */
+  async search(query, maxResults = 5) {
+    const url = `${this.baseUrl}/search?q=${encodeURIComponent(query)}&format=json`;
+    const res = await fetchWithRetry(url, {
+      headers: { 'Accept': 'application/json' },
+    }, { timeoutMs: this.timeouts.web_search });
+
+    if (!res.ok) {
+      throw new Error(`SearXNG search failed: ${res.status} ${res.statusText}`);
+    }
+
+    const data = await res.json();
+    logger.debug('tools', 'SearXNG search results', { count: data.results?.length || 0 });
+    return (data.results || []).slice(0, maxResults).map(r => ({
+      title: r.title,
+      url: r.url,
+      snippet: r.content,
+    }));
+  }
+
+  /**
+   * Returns { title, content }. The model picks the URL, so only public http(s) addresses
+   * are fetched, and every redirect is checked the same way before it is followed.
+   */
+  async fetch(url) {
+    let res;
+    let target = url;
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(target);
+      res = await fetchWithRetry(target, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,text/plain' },
+        redirect: 'manual',
+      }, { timeoutMs: this.timeouts.web_fetch, maxBytes: MAX_PAGE_BYTES });
+
+      const location = res.status >= 300 && res.status < 400 && res.headers.get('location');
+      if (!location) break;
+      if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+      target = new URL(location, target).href;
+    }
+
+    if (!res.ok) {
+      throw new Error(`Fetch failed: ${res.status} ${res.statusText}`);
+    }
+
+    const body = await res.text();
+    if (!/html/i.test(res.headers.get('content-type') || '')) {
+      return { title: url, content: body };
+    }
+
+    const title = body.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+    return { title: title ? htmlToText(title) : url, content: htmlToText(body) };
+  }
+}
@@ -0,0 +1,66 @@
+import { lookup } from 'node:dns/promises';
+import net from 'node:net';
+
+// Addresses the bot must never fetch on a model's behalf: its own host, the LAN and cloud metadata
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],         // "this network"
+  ['10.0.0.0', 8],        // private
+  ['100.64.0.0', 10],     // carrier-grade NAT
+  ['127.0.0.0', 8],       // loopback
+  ['169.254.0.0', 16],    // link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12],     // private
+  ['192.0.0.0', 24],      // IETF protocol assignments
+  ['192.168.0.0', 16],    // private
+  ['198.18.0.0', 15],     // benchmarking
+  ['224.0.0.0', 4],       // multicast
+  ['240.0.0.0', 4],       // reserved and broadcast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],            // unspecified
+  ['::1', 128],           // loopback
+  ['64:ff9b::', 96],      // NAT64 of IPv4 addresses
+  ['fc00::', 7],          // unique local
+  ['fe80::', 10],         // link-local
+  ['ff00::', 8],          // multicast
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * True if an IP address is loopback, private, link-local, metadata or otherwise not on the public internet
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED.check(address, 'ipv4');
+  if (family !== 6) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it maps to
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+  return BLOCKED.check(address, 'ipv6');
+}
+
+/**
+ * Throw unless url is http(s) and every address its host resolves to is public
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Invalid URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Only http and https URLs can be fetched, not ${parsed.protocol}`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+    throw new Error(`Refusing to fetch ${parsed.hostname}: not a public address`);
+  }
+  return parsed;
+}
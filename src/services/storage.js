@@ -0,0 +1,242 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+// Changes within this window are written to disk together
+const FLUSH_DELAY_MS = parseInt(process.env.STORAGE_FLUSH_MS || '1000', 10);
+
+// File stores with unwritten changes, flushed on exit
+const dirtyStores = new Set();
+process.on('exit', () => {
+  for (const store of dirtyStores) store.flush();
+});
+
+/**
+ * In-memory key/value store. Nothing survives a restart.
+ */
+export class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  get(key) {
+    return this.records.get(key);
+  }
+
+  set(key, value) {
+    this.records.set(key, value);
+    return value;
+  }
+
+  delete(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * Delete several keys as one change. Returns how many existed.
+   */
+  deleteMany(keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      if (this.records.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  entries() {
+    return Array.from(this.records.entries());
+  }
+
+  flush() {}
+}
+
+/**
+ * Key/value store backed by a single JSON file.
+ * Loaded once on construction, rewritten atomically at most once per flushDelayMs
+ * (0 writes on every change). Pending changes are written on exit.
+ */
+export class JsonFileStore extends MemoryStore {
+  constructor(filePath, { flushDelayMs = FLUSH_DELAY_MS } = {}) {
+    super();
+    this.filePath = filePath;
+    this.flushDelayMs = flushDelayMs;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, value] of Object.entries(data)) {
+        this.records.set(key, value);
+      }
+      logger.info('storage', 'Loaded store', { file: this.filePath, records: this.records.size });
+    } catch (error) {
+      logger.error('storage', `Failed to load ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleFlush();
+    return value;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  deleteMany(keys) {
+    const deleted = super.deleteMany(keys);
+    if (deleted > 0) this.scheduleFlush();
+    return deleted;
+  }
+
+  scheduleFlush() {
+    if (this.flushDelayMs <= 0) {
+      this.flush();
+      return;
+    }
+    if (this.flushTimer) return;
+
+    dirtyStores.add(this);
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    dirtyStores.delete(this);
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.records)));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error('storage', `Failed to write ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Key/value store with one JSON file per record in a directory, for large records that change
+ * one at a time (e.g. transcripts): a flush rewrites only the records changed since the last one.
+ * A single-file store of the same name (`<dir>.json`) is split into the directory on first load.
+ */
+export class JsonDirStore extends JsonFileStore {
+  constructor(dirPath, options) {
+    super(dirPath, options);
+    this.dirty = new Set();
+  }
+
+  fileFor(key) {
+    return path.join(this.filePath, `${encodeURIComponent(key)}.json`);
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      for (const name of fs.readdirSync(this.filePath).filter(n => n.endsWith('.json'))) {
+        try {
+          this.records.set(decodeURIComponent(name.slice(0, -'.json'.length)),
+            JSON.parse(fs.readFileSync(path.join(this.filePath, name), 'utf8')));
+        } catch (error) {
+          logger.error('storage', `Failed to load ${name}: ${error.message}`, { dir: this.filePath });
+        }
+      }
+    }
+    this.migrate(`${this.filePath}.json`);
+    logger.info('storage', 'Loaded store', { dir: this.filePath, records: this.records.size });
+  }
+
+  migrate(legacyPath) {
+    if (!fs.existsSync(legacyPath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      for (const [key, value] of Object.entries(data)) {
+        if (this.records.has(key)) continue;
+        this.records.set(key, value);
+        this.writeRecord(key);
+      }
+      fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+      logger.info('storage', 'Split single-file store into one file per record', { file: legacyPath, dir: this.filePath });
+    } catch (error) {
+      logger.error('storage', `Failed to migrate ${legacyPath}: ${error.message}`);
+    }
+  }
+
+  set(key, value) {
+    this.dirty.add(key);
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    this.dirty.add(key);
+    return super.delete(key);
+  }
+
+  deleteMany(keys) {
+    for (const key of keys) this.dirty.add(key);
+    return super.deleteMany(keys);
+  }
+
+  writeRecord(key) {
+    const file = this.fileFor(key);
+    if (!this.records.has(key)) {
+      fs.rmSync(file, { force: true });
+      return;
+    }
+    fs.mkdirSync(this.filePath, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.records.get(key)));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    dirtyStores.delete(this);
+
+    const keys = [...this.dirty];
+    this.dirty.clear();
+    for (const key of keys) {
+      try {
+        this.writeRecord(key);
+      } catch (error) {
+        logger.error('storage', `Failed to write ${this.fileFor(key)}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Create a named store using the configured backend (STORAGE_BACKEND=json|memory).
+ * With perRecord, the json backend keeps each record in its own file (see JsonDirStore).
+ */
+export function createStore(name, { perRecord = false } = {}) {
+  switch (STORAGE_BACKEND) {
+    case 'memory':
+      return new MemoryStore();
+    case 'json':
+      return perRecord
+        ? new JsonDirStore(path.join(DATA_DIR, name))
+        : new JsonFileStore(path.join(DATA_DIR, `${name}.json`));
+    default:
+      throw new Error(`Unknown storage backend: ${STORAGE_BACKEND}`);
+  }
+}
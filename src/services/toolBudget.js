@@ -0,0 +1,54 @@
+const MAX_TOOL_CALLS = parseInt(process.env.TOOL_BUDGET_CALLS || '30', 10);
+const MAX_TOKENS = parseInt(process.env.TOOL_BUDGET_TOKENS || '200000', 10);
+const MAX_MS = parseInt(process.env.TOOL_BUDGET_MS || '300000', 10);
+
+/**
+ * Limits on the agentic tool loop. Tool calls, tokens and time spent running tools are counted
+ * against `usage` (kept on the debate so it persists for the whole debate).
+ * Exhausting the budget stops further tool use but never blocks the final answer.
+ */
+export class ToolBudget {
+  constructor({
+    usage = { toolCalls: 0, tokens: 0, toolMs: 0 },
+    maxToolCalls = MAX_TOOL_CALLS,
+    maxTokens = MAX_TOKENS,
+    maxMs = MAX_MS,
+    cache = new Map(),
+  } = {}) {
+    this.usage = usage;
+    // Debates stored before time was tracked start from zero
+    this.usage.toolMs ??= 0;
+    this.maxToolCalls = maxToolCalls;
+    this.maxTokens = maxTokens;
+    this.maxMs = maxMs;
+    // Results of earlier calls keyed by tool name and normalized arguments
+    this.cache = cache;
+  }
+
+  remainingCalls() {
+    return Math.max(0, this.maxToolCalls - this.usage.toolCalls);
+  }
+
+  recordCalls(count) {
+    this.usage.toolCalls += count;
+  }
+
+  recordTime(ms) {
+    this.usage.toolMs += ms;
+  }
+
+  recordTokens(usage) {
+    if (!usage) return;
+    this.usage.tokens += (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  }
+
+  /**
+   * Why no more tool rounds are allowed, or null if there is room
+   */
+  exhausted() {
+    if (this.remainingCalls() === 0) return 'calls';
+    if (this.usage.tokens >= this.maxTokens) return 'tokens';
+    if (this.usage.toolMs >= this.maxMs) return 'time';
+    return null;
+  }
+}
@@ -0,0 +1,247 @@
+import { createStore } from './storage.js';
+import { logger } from './logger.js';
+import { splitSources } from './ollama.js';
+
+const MAX_TOP_TOPICS = 10;
+// Most messages Discord returns in one fetch
+const MAX_THREAD_MESSAGES = 100;
+
+// Outcome filter values: who won, or still running
+export const OUTCOMES = ['bot', 'opponent', 'draw', 'active'];
+
+const normalizeTopic = (subject) => subject.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Permanent record of each debate as it was posted: every turn with its author,
+ * Discord message ID and timestamp, the sources cited, fallacies flagged and fact-checks,
+ * and the outcome. Kept by debate ID, separately from live debate state,
+ * so it survives threads archiving and debates being evicted.
+ */
+export class TranscriptStore {
+  // One file per transcript, so a new turn doesn't rewrite every debate ever held
+  constructor(store = createStore('transcripts', { perRecord: true })) {
+    this.transcripts = store;
+  }
+
+  get(id) {
+    return this.transcripts.get(id) || null;
+  }
+
+  /**
+   * The newest transcript recorded in a thread
+   */
+  findByThread(threadId) {
+    return this.transcripts.values()
+      .filter(t => t.threadId === threadId)
+      .sort((a, b) => b.createdAt - a.createdAt)[0] || null;
+  }
+
+  /**
+   * Open the transcript for a new debate
+   */
+  start(debate) {
+    const transcript = {
+      id: debate.id,
+      threadId: debate.threadId,
+      guildId: debate.guildId,
+      subject: debate.subject,
+      mode: debate.mode,
+      format: debate.format,
+      userSide: debate.userSide,
+      participants: this.participantsOf(debate),
+      turns: [],
+      outcome: null,
+      createdAt: debate.createdAt,
+      endedAt: null,
+    };
+    this.transcripts.set(transcript.id, transcript);
+    return transcript;
+  }
+
+  participantsOf(debate) {
+    return Object.values(debate.participants).map(p => ({
+      userId: p.userId,
+      username: p.username,
+      status: p.status,
+      eliminatedReason: p.eliminatedReason || null,
+      fallacyCount: p.fallacyCount,
+    }));
+  }
+
+  /**
+   * Append a turn as posted. turn is { role, author, authorId, content, messageId, fallacies },
+   * or messageIds instead of messageId for a reply split over several messages.
+   * Footnoted sources on bot turns are split out of the content.
+   */
+  addTurn(debate, {
+    role,
+    author = null,
+    authorId = null,
+    content,
+    messageIds = [],
+    messageId = messageIds[0] || null,
+    fallacies = [],
+  }) {
+    const transcript = this.get(debate.id);
+    if (!transcript) return;
+
+    const { text, sources } = role === 'assistant' ? splitSources(content) : { text: content, sources: [] };
+    transcript.turns.push({
+      role,
+      author,
+      authorId,
+      messageId,
+      messageIds: messageIds.length > 0 ? messageIds : [messageId].filter(Boolean),
+      content: text,
+      sources,
+      fallacies: fallacies.map(f => ({ type: f.type, severity: f.severity, quote: f.quote, explanation: f.explanation })),
+      factCheck: null,
+      timestamp: Date.now(),
+    });
+    transcript.participants = this.participantsOf(debate);
+    this.transcripts.set(transcript.id, transcript);
+  }
+
+  /**
+   * The turn posted as messageId, or with messageId as one of its chunks
+   */
+  findTurn(debate, messageId) {
+    return this.get(debate.id)?.turns
+      .find(t => t.messageId === messageId || t.messageIds?.includes(messageId)) || null;
+  }
+
+  /**
+   * Attach a fact-check result to the bot turn it checked
+   */
+  addFactCheck(debate, messageId, check) {
+    const transcript = this.get(debate.id);
+    const turn = this.findTurn(debate, messageId);
+    if (!turn) return;
+
+    turn.factCheck = { verdict: check.verdict, claims: check.claims };
+    this.transcripts.set(transcript.id, transcript);
+  }
+
+  outcomeOf(debate) {
+    return {
+      winner: debate.winner || null,
+      reason: debate.endReason || null,
+      verdict: debate.verdict || null,
+      audience: debate.audience || null,
+      votes: debate.votes || null,
+    };
+  }
+
+  /**
+   * Record how an ended debate came out
+   */
+  finish(debate) {
+    const transcript = this.get(debate.id);
+    if (!transcript) return;
+
+    transcript.participants = this.participantsOf(debate);
+    transcript.outcome = this.outcomeOf(debate);
+    transcript.endedAt = debate.endedAt || Date.now();
+    this.transcripts.set(transcript.id, transcript);
+    logger.debate('transcript_saved', { subject: debate.subject, turns: transcript.turns.length });
+  }
+
+  /**
+   * Rebuild a transcript from a thread's last MAX_THREAD_MESSAGES messages, for debates with none stored
+   * (e.g. held before transcripts were kept). Sources come back from the footnotes; fallacies and
+   * fact-checks don't. debate, if still known, supplies the subject, participants and outcome.
+   * The result is not stored. Returns null if the bot never posted in the thread.
+   */
+  async fromThread(thread, debate = null) {
+    const messages = [...(await thread.messages.fetch({ limit: MAX_THREAD_MESSAGES })).values()].reverse();
+    if (!messages.some(m => m.author.bot)) return null;
+
+    const ended = debate?.status === 'ended';
+    return {
+      id: debate?.id || thread.id,
+      threadId: thread.id,
+      guildId: thread.guildId,
+      subject: debate?.subject || thread.name,
+      mode: debate?.mode || 'standard',
+      format: debate?.format || null,
+      userSide: debate?.userSide || null,
+      participants: debate ? this.participantsOf(debate) : [],
+      turns: messages.map(m => {
+        const { text, sources } = m.author.bot ? splitSources(m.content) : { text: m.content, sources: [] };
+        return {
+          role: m.author.bot ? 'assistant' : 'user',
+          author: m.author.bot ? null : m.author.username,
+          authorId: m.author.bot ? null : m.author.id,
+          messageId: m.id,
+          content: text,
+          sources,
+          fallacies: [],
+          factCheck: null,
+          timestamp: m.createdTimestamp,
+        };
+      }),
+      outcome: ended ? this.outcomeOf(debate) : null,
+      createdAt: debate?.createdAt || messages[0].createdTimestamp,
+      endedAt: ended ? debate.endedAt : null,
+      rebuilt: true,
+    };
+  }
+
+  /**
+   * Transcripts in a guild, newest first. Filters: user (ID or part of a username),
+   * subject (substring) and outcome (one of OUTCOMES).
+   */
+  list(guildId, { user = '', subject = '', outcome = '' } = {}) {
+    const userQuery = user.trim().toLowerCase();
+    const subjectQuery = normalizeTopic(subject);
+
+    return this.transcripts.values()
+      .filter(t => t.guildId === guildId)
+      .filter(t => !userQuery || t.participants.some(p =>
+        p.userId === userQuery || (p.username || '').toLowerCase().includes(userQuery)))
+      .filter(t => !subjectQuery || normalizeTopic(t.subject).includes(subjectQuery))
+      .filter(t => !outcome || (outcome === 'active' ? !t.outcome : t.outcome?.winner === outcome))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Guild IDs with at least one transcript, and how many each has
+   */
+  guilds() {
+    const counts = new Map();
+    for (const t of this.transcripts.values()) {
+      counts.set(t.guildId, (counts.get(t.guildId) || 0) + 1);
+    }
+    return [...counts].map(([guildId, count]) => ({ guildId, count }));
+  }
+
+  /**
+   * Aggregate stats over finished debates against the bot (exhibitions excluded)
+   */
+  stats(transcripts) {
+    const finished = transcripts.filter(t => t.outcome && t.mode !== 'exhibition');
+    const wins = (winner) => finished.filter(t => t.outcome.winner === winner).length;
+
+    const topics = new Map();
+    for (const t of transcripts) {
+      const key = normalizeTopic(t.subject);
+      topics.set(key, (topics.get(key) || 0) + 1);
+    }
+
+    return {
+      total: transcripts.length,
+      finished: finished.length,
+      botWins: wins('bot'),
+      opponentWins: wins('opponent'),
+      draws: wins('draw'),
+      botWinRate: finished.length > 0 ? wins('bot') / finished.length : null,
+      avgTurns: finished.length > 0
+        ? finished.reduce((sum, t) => sum + t.turns.length, 0) / finished.length
+        : null,
+      topTopics: [...topics]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TOP_TOPICS)
+        .map(([topic, count]) => ({ topic, count })),
+    };
+  }
+}
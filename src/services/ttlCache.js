@@ -0,0 +1,52 @@
+import { MemoryStore } from './storage.js';
+
+/**
+ * Key/value cache where every entry expires after a TTL.
+ * Backed by any store from storage.js, so it can be persisted to disk.
+ */
+export class TtlCache {
+  constructor({ store = new MemoryStore(), ttlMs = 3600000, maxEntries = 500 } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+  }
+
+  get(key) {
+    const entry = this.store.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    this.store.set(key, { value, expiresAt: Date.now() + ttlMs });
+    this.evict();
+    return value;
+  }
+
+  /**
+   * Drop expired entries, then the ones closest to expiry until under maxEntries.
+   * Deleted in one batch so a persisted store is written once.
+   */
+  evict() {
+    const now = Date.now();
+    const entries = this.store.entries();
+    if (entries.length <= this.maxEntries) return;
+
+    const sorted = entries.sort(([, a], [, b]) => a.expiresAt - b.expiresAt);
+    let excess = entries.length - this.maxEntries;
+    const expired = [];
+
+    for (const [key, entry] of sorted) {
+      if (entry.expiresAt > now && excess <= 0) break;
+      expired.push(key);
+      excess--;
+    }
+    this.store.deleteMany(expired);
+  }
+}
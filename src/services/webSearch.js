@@ -1,115 +1,180 @@
 import 'dotenv/config';
 import { logger } from './logger.js';
+import { MemoryStore, createStore } from './storage.js';
+import { TtlCache } from './ttlCache.js';
+import { fetchWithRetry } from './http.js';
+import { OllamaSearchBackend } from './search/ollamaBackend.js';
+import { SearxngBackend } from './search/searxngBackend.js';
+import { LocalCorpus } from './search/localCorpus.js';
+import { metrics } from './metrics.js';
 
-const OLLAMA_API_KEY = process.env.OLLAMA_API_KEY;
-const OLLAMA_API_BASE = 'https://ollama.com/api';
+// Request timeouts per tool
+const TOOL_TIMEOUTS_MS = { web_search: 10000, web_fetch: 15000, wikipedia: 8000 };
 
-if (!OLLAMA_API_KEY) {
-  logger.warn('tools', 'OLLAMA_API_KEY not set - web search/fetch will fail');
+// Page text passed to the model (and cached) per fetch or document read
+const MAX_PAGE_CHARS = 2000;
+
+// Offline corpus documents are cited by path under this scheme instead of a web URL
+const CORPUS_URL_PREFIX = 'corpus://';
+export const corpusUrl = (path) => `${CORPUS_URL_PREFIX}${path}`;
+export const isCorpusUrl = (url) => String(url || '').startsWith(CORPUS_URL_PREFIX);
+
+// Web search/fetch backend: ollama (hosted API), searxng (self-hosted) or none
+const SEARCH_BACKEND = process.env.SEARCH_BACKEND || 'ollama';
+const WIKIPEDIA_ENABLED = process.env.WIKIPEDIA_ENABLED !== 'false';
+
+const cache = new TtlCache({
+  store: process.env.WEB_CACHE_PERSIST === 'false' ? new MemoryStore() : createStore('web-cache'),
+  ttlMs: parseInt(process.env.WEB_CACHE_TTL_SECONDS || '3600', 10) * 1000,
+});
+
+/**
+ * Build the configured web backend, or null when web search is disabled or unusable
+ */
+function createSearchBackend(name) {
+  let backend;
+  switch (name) {
+    case 'none':
+      return null;
+    case 'ollama':
+      backend = new OllamaSearchBackend({ timeouts: TOOL_TIMEOUTS_MS });
+      break;
+    case 'searxng':
+      backend = new SearxngBackend({ timeouts: TOOL_TIMEOUTS_MS });
+      break;
+    default:
+      throw new Error(`Unknown search backend: ${name}`);
+  }
+
+  if (!backend.isAvailable()) {
+    const missing = name === 'ollama' ? 'OLLAMA_API_KEY' : 'SEARXNG_URL';
+    logger.warn('tools', `${missing} not set - web search/fetch disabled`);
+    return null;
+  }
+  return backend;
 }
 
-// Tool definitions for Ollama
-export const WEB_TOOLS = [
-  {
-    type: 'function',
-    function: {
-      name: 'web_search',
-      description: 'Search the web for current information, facts, and statistics on a topic',
-      parameters: {
-        type: 'object',
-        properties: {
-          query: {
-            type: 'string',
-            description: 'The search query to find relevant information',
-          },
-        },
-        required: ['query'],
-      },
+const searchBackend = createSearchBackend(SEARCH_BACKEND);
+const corpus = new LocalCorpus();
+
+if (corpus.isAvailable()) corpus.ready();
+
+const TOOL_DEFINITIONS = {
+  web_search: {
+    description: 'Search the web for current information, facts, and statistics on a topic',
+    parameters: {
+      query: 'The search query to find relevant information',
+    },
+  },
+  web_fetch: {
+    description: 'Fetch and read the content from a specific webpage URL',
+    parameters: {
+      url: 'The URL of the webpage to fetch',
+    },
+  },
+  wikipedia: {
+    description: 'Search Wikipedia for factual information, definitions, and encyclopedic knowledge on a topic',
+    parameters: {
+      query: 'The topic to search for on Wikipedia',
     },
   },
-  {
-    type: 'function',
-    function: {
-      name: 'web_fetch',
-      description: 'Fetch and read the content from a specific webpage URL',
-      parameters: {
-        type: 'object',
-        properties: {
-          url: {
-            type: 'string',
-            description: 'The URL of the webpage to fetch',
-          },
-        },
-        required: ['url'],
-      },
+  local_search: {
+    description: 'Search the curated offline knowledge base of documents for relevant passages',
+    parameters: {
+      query: 'Keywords describing the information to find',
     },
   },
-  {
-    type: 'function',
-    function: {
-      name: 'wikipedia',
-      description: 'Search Wikipedia for factual information, definitions, and encyclopedic knowledge on a topic',
-      parameters: {
-        type: 'object',
-        properties: {
-          query: {
-            type: 'string',
-            description: 'The topic to search for on Wikipedia',
-          },
-        },
-        required: ['query'],
-      },
+  local_read: {
+    description: 'Read a full document from the offline knowledge base by the path returned from local_search',
+    parameters: {
+      path: 'The document path from a local_search result',
     },
   },
-];
+};
 
-/**
- * Ollama web search API
- */
-async function webSearch(query, maxResults = 5) {
-  const res = await fetch(`${OLLAMA_API_BASE}/web_search`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OLLAMA_API_KEY}`,
+const toToolSchema = (name) => ({
+  type: 'function',
+  function: {
+    name,
+    description: TOOL_DEFINITIONS[name].description,
+    parameters: {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(TOOL_DEFINITIONS[name].parameters)
+        .map(([param, description]) => [param, { type: 'string', description }])),
+      required: Object.keys(TOOL_DEFINITIONS[name].parameters),
     },
-    body: JSON.stringify({ query, max_results: maxResults }),
-  });
+  },
+});
 
-  if (!res.ok) {
-    throw new Error(`Web search failed: ${res.status} ${res.statusText}`);
+// Tool definitions for the model, limited to the configured backends
+export const WEB_TOOLS = [
+  ...(searchBackend ? ['web_search', 'web_fetch'] : []),
+  ...(WIKIPEDIA_ENABLED ? ['wikipedia'] : []),
+  ...(corpus.isAvailable() ? ['local_search', 'local_read'] : []),
+].map(toToolSchema);
+
+logger.info('tools', 'Research tools configured', {
+  backend: searchBackend?.name || 'none',
+  tools: WEB_TOOLS.map(t => t.function.name).join(','),
+});
+
+const normalizeQuery = (query) => String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return String(url || '').trim();
   }
+}
+
+/**
+ * Return the cached result for key, or compute and cache it. Error results aren't cached.
+ */
+async function cached(key, compute) {
+  const hit = cache.get(key);
+  if (hit !== undefined) {
+    logger.debug('tools', 'Cache hit', { key });
+    return hit;
+  }
+
+  const result = await compute();
+  if (result && !result.error) cache.set(key, result);
+  return result;
+}
 
-  return res.json();
+/**
+ * Search the web through the configured backend
+ */
+async function webSearch(query, maxResults = 5) {
+  return cached(`web_search:${searchBackend.name}:${normalizeQuery(query)}:${maxResults}`, async () =>
+    ({ results: await searchBackend.search(query, maxResults) }));
 }
 
 /**
- * Ollama web fetch API
+ * Fetch a page through the configured backend. Only the text the model gets is cached.
  */
 async function webFetch(url) {
-  const res = await fetch(`${OLLAMA_API_BASE}/web_fetch`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OLLAMA_API_KEY}`,
-    },
-    body: JSON.stringify({ url }),
+  return cached(`web_fetch:${searchBackend.name}:${normalizeUrl(url)}`, async () => {
+    const page = await searchBackend.fetch(url);
+    return { title: page.title, content: page.content?.substring(0, MAX_PAGE_CHARS) };
   });
-
-  if (!res.ok) {
-    throw new Error(`Web fetch failed: ${res.status} ${res.statusText}`);
-  }
-
-  return res.json();
 }
 
 /**
  * Query Wikipedia API for article summary
  */
 async function queryWikipedia(query) {
+  return cached(`wikipedia:${normalizeQuery(query)}`, () => requestWikipedia(query));
+}
+
+async function requestWikipedia(query) {
+  const timeoutMs = TOOL_TIMEOUTS_MS.wikipedia;
   try {
     const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&format=json&srlimit=1`;
-    const searchRes = await fetch(searchUrl);
+    const searchRes = await fetchWithRetry(searchUrl, {}, { timeoutMs });
     const searchData = await searchRes.json();
 
     if (!searchData.query?.search?.length) {
@@ -118,7 +183,7 @@ async function queryWikipedia(query) {
 
     const title = searchData.query.search[0].title;
     const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title)}`;
-    const summaryRes = await fetch(summaryUrl);
+    const summaryRes = await fetchWithRetry(summaryUrl, {}, { timeoutMs });
     const summaryData = await summaryRes.json();
 
     return {
@@ -144,11 +209,18 @@ export async function executeToolCall(toolCall) {
       args = JSON.parse(args);
     } catch {
       logger.error('tools', `Failed to parse args: ${args}`);
+      metrics.toolErrors.inc({ tool: WEB_TOOLS.some(t => t.function.name === name) ? name : 'unknown' });
       return { error: 'Invalid arguments' };
     }
   }
 
+  if (!WEB_TOOLS.some(t => t.function.name === name)) {
+    metrics.toolErrors.inc({ tool: 'unknown' });
+    return { error: `Unknown tool: ${name}` };
+  }
+
   logger.info('tools', `${name}`, args);
+  metrics.toolCalls.inc({ tool: name });
 
   try {
     switch (name) {
@@ -159,7 +231,7 @@ export async function executeToolCall(toolCall) {
             results: data.results.map(r => ({
               title: r.title,
               url: r.url,
-              snippet: r.content?.substring(0, 500),
+              snippet: r.snippet?.substring(0, 500),
             })),
           };
         }
@@ -170,7 +242,7 @@ export async function executeToolCall(toolCall) {
         const data = await webFetch(args.url);
         return {
           title: data.title,
-          content: data.content?.substring(0, 2000),
+          content: data.content,
           url: args.url,
         };
       }
@@ -178,42 +250,105 @@ export async function executeToolCall(toolCall) {
       case 'wikipedia':
         return await queryWikipedia(args.query);
 
+      case 'local_search': {
+        const results = await corpus.search(args.query);
+        if (results.length) return { results };
+        return { error: 'No matching documents in the knowledge base' };
+      }
+
+      case 'local_read': {
+        const content = await corpus.read(args.path);
+        if (content) return { path: args.path, content: content.substring(0, MAX_PAGE_CHARS) };
+        return { error: `No document at ${args.path}` };
+      }
+
       default:
         return { error: `Unknown tool: ${name}` };
     }
   } catch (error) {
     logger.error('tools', `${name} failed: ${error.message}`);
+    metrics.toolErrors.inc({ tool: name });
     return { error: `${name} failed: ${error.message}` };
   }
 }
 
 /**
- * Process tool calls from an Ollama response
- * Returns { messages, sources } where sources is an array of URLs
+ * Key for deduplicating tool calls: tool name plus normalized arguments
+ */
+function toolCallKey(toolCall) {
+  let args = toolCall.function?.arguments;
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args);
+    } catch {
+      // Unparseable arguments are keyed as-is
+    }
+  }
+
+  const normalized = typeof args === 'object' && args !== null
+    ? Object.fromEntries(Object.entries(args)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([k, v]) => [k, typeof v === 'string' ? v.trim().toLowerCase().replace(/\s+/g, ' ') : v]))
+    : args;
+
+  return `${toolCall.function?.name}:${JSON.stringify(normalized)}`;
+}
+
+/**
+ * Process tool calls from an Ollama response.
+ * Independent calls run in parallel. Calls already answered (in this batch or in `cache`)
+ * reuse the earlier result, and at most `maxCalls` new calls are executed.
+ * Failed calls are dropped from `cache` so a later round can retry them.
+ * Returns { messages, sources, executed } where sources is an array of { title, url, snippet }
+ * (corpus documents get a corpusUrl).
  */
-export async function processToolCalls(toolCalls) {
-  if (!toolCalls || toolCalls.length === 0) return { messages: [], sources: [] };
+export async function processToolCalls(toolCalls, { cache = new Map(), maxCalls = Infinity } = {}) {
+  if (!toolCalls || toolCalls.length === 0) return { messages: [], sources: [], executed: 0 };
+
+  let executed = 0;
+  const results = await Promise.all(toolCalls.map(call => {
+    const key = toolCallKey(call);
+
+    if (!cache.has(key)) {
+      if (executed >= maxCalls) {
+        return { error: 'Tool budget exhausted. Answer with what you already have.' };
+      }
+      executed++;
+      cache.set(key, executeToolCall(call).then(result => {
+        if (result.error) cache.delete(key);
+        return result;
+      }));
+    } else {
+      logger.debug('tools', 'Reusing earlier result', { key });
+    }
+
+    return cache.get(key);
+  }));
 
   const messages = [];
   const sources = [];
 
-  for (const call of toolCalls) {
-    const result = await executeToolCall(call);
+  toolCalls.forEach((call, i) => {
+    const result = results[i];
     messages.push({
       role: 'tool',
+      tool_name: call.function?.name,
       content: JSON.stringify(result),
     });
 
-    // Extract sources from results
+    // Extract sources, with the text the model saw, from results. Corpus documents have a path instead of a URL.
     if (result.results) {
       for (const r of result.results) {
-        if (r.url) sources.push({ title: r.title, url: r.url });
+        if (r.url) sources.push({ title: r.title, url: r.url, snippet: r.snippet || '' });
+        else if (r.path) sources.push({ title: r.path, url: corpusUrl(r.path), snippet: r.snippet || '' });
       }
     }
     if (result.url) {
-      sources.push({ title: result.title || 'Source', url: result.url });
+      sources.push({ title: result.title || 'Source', url: result.url, snippet: result.extract || result.content || '' });
+    } else if (result.path) {
+      sources.push({ title: result.path, url: corpusUrl(result.path), snippet: result.content || '' });
     }
-  }
+  });
 
-  return { messages, sources };
+  return { messages, sources, executed };
 }
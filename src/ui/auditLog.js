@@ -0,0 +1,35 @@
+import { EmbedBuilder } from 'discord.js';
+import { CATEGORY_LABELS } from '../services/moderation.js';
+
+const ACTION_COLORS = { refused: 0xe67e22, rewritten: 0xf1c40f, suppressed: 0xe74c3c };
+const ACTION_TITLES = {
+  refused: '🛡️ Debate topic refused',
+  rewritten: '🛡️ Bot reply rewritten',
+  suppressed: '🛡️ Bot reply suppressed',
+};
+
+const clip = (text, max) => text.length > max ? text.substring(0, max - 3) + '...' : text;
+
+/**
+ * Render a moderation action (see Moderator in moderation.js) for the audit log channel
+ */
+export function buildAuditEmbed(entry) {
+  const embed = new EmbedBuilder()
+    .setTitle(ACTION_TITLES[entry.action])
+    .setColor(ACTION_COLORS[entry.action])
+    .addFields(
+      { name: 'Category', value: CATEGORY_LABELS[entry.category] || entry.category || 'unknown', inline: true },
+      { name: 'Detected by', value: entry.source || 'unknown', inline: true },
+    )
+    .setTimestamp(entry.timestamp);
+
+  if (entry.userId) embed.addFields({ name: 'Requested by', value: `<@${entry.userId}>`, inline: true });
+  if (entry.threadId) embed.addFields({ name: 'Thread', value: `<#${entry.threadId}>`, inline: true });
+  if (entry.subject) embed.addFields({ name: 'Subject', value: clip(entry.subject, 1024) });
+  if (entry.reason) embed.addFields({ name: 'Reason', value: clip(entry.reason, 1024) });
+
+  // Spoilered so moderators choose whether to read it
+  embed.setDescription(`||${clip(entry.text.replace(/\|/g, '¦'), 3900)}||`);
+
+  return embed;
+}
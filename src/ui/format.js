@@ -0,0 +1,8 @@
+/**
+ * Format a duration in milliseconds as "42m" or "1h 5m"
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
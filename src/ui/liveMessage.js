@@ -0,0 +1,108 @@
+import { logger } from '../services/logger.js';
+
+const EDIT_INTERVAL_MS = parseInt(process.env.STREAM_EDIT_INTERVAL_MS || '1500', 10);
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * A placeholder message that is edited as a streamed response comes in.
+ * Edits are throttled to EDIT_INTERVAL_MS to stay under Discord's edit rate limits.
+ */
+export class LiveMessage {
+  constructor(channel, placeholder, { intervalMs = EDIT_INTERVAL_MS } = {}) {
+    this.channel = channel;
+    this.placeholder = placeholder;
+    this.intervalMs = intervalMs;
+    this.message = null;
+    // Every message the final text was posted as, first to last
+    this.messages = [];
+    this.latest = null;
+    this.shown = null;
+    this.lastEdit = 0;
+    this.timer = null;
+    this.pending = Promise.resolve();
+    this.closed = false;
+  }
+
+  async start() {
+    this.message = await this.channel.send(this.placeholder);
+    this.lastEdit = Date.now();
+    return this;
+  }
+
+  /**
+   * Show the latest partial text. Safe to call on every token.
+   */
+  update(text) {
+    if (this.closed || !this.message || !text.trim()) return;
+
+    this.latest = text.length > DISCORD_MAX_LENGTH
+      ? text.substring(0, DISCORD_MAX_LENGTH - 1) + '…'
+      : text;
+
+    if (this.timer) return;
+    const wait = Math.max(0, this.lastEdit + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pending = this.pending.then(() => this.flush());
+    }, wait);
+  }
+
+  async flush() {
+    if (this.closed || this.latest === this.shown) return;
+
+    const text = this.latest;
+    this.lastEdit = Date.now();
+    try {
+      await this.message.edit(text);
+      this.shown = text;
+    } catch (error) {
+      logger.debug('discord', 'Live message edit failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Replace the placeholder with the final text, sending overflow chunks as new messages.
+   * Components (e.g. buttons) go on the last chunk.
+   */
+  async finish(chunks, { components = [] } = {}) {
+    this.stop();
+    await this.pending;
+
+    const payloads = chunks.map((content, i) => ({
+      content,
+      components: i === chunks.length - 1 ? components : [],
+    }));
+    const [first, ...rest] = payloads;
+    if (this.message) {
+      await this.message.edit(first);
+    } else {
+      this.message = await this.channel.send(first);
+    }
+    this.messages = [this.message];
+    for (const payload of rest) {
+      this.messages.push(await this.channel.send(payload));
+    }
+  }
+
+  /**
+   * IDs of the messages finish() posted, first to last
+   */
+  get messageIds() {
+    return this.messages.map(m => m.id);
+  }
+
+  /**
+   * Remove the placeholder, e.g. when generation failed or the response is dropped
+   */
+  async discard() {
+    this.stop();
+    await this.pending;
+    await this.message?.delete().catch(() => {});
+  }
+
+  stop() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,51 @@
+import { EmbedBuilder } from 'discord.js';
+
+const WINNER_COLORS = { bot: 0xe74c3c, opponent: 0x2ecc71, draw: 0x95a5a6 };
+const MAX_FIELD_LENGTH = 1024;
+
+const total = (s) => s.evidence + s.logic + s.rebuttal;
+
+const clip = (text, max = MAX_FIELD_LENGTH) =>
+  text.length > max ? text.substring(0, max - 3) + '...' : text;
+
+function formatScores(s) {
+  return `Evidence: **${s.evidence}**/10\nLogic: **${s.logic}**/10\nRebuttal: **${s.rebuttal}**/10\nTotal: **${total(s)}**/30`;
+}
+
+/**
+ * Render a judge verdict (see judgeDebate in ollama.js) as a Discord embed
+ */
+export function buildScorecardEmbed(verdict, { subject, opponentLabel = 'Opponent' }) {
+  const winnerText = {
+    bot: '🤖 The bot',
+    opponent: `🧑 ${opponentLabel}`,
+    draw: '🤝 Draw',
+  }[verdict.winner];
+
+  const embed = new EmbedBuilder()
+    .setTitle('📋 Judge\'s Scorecard')
+    .setDescription(clip(`**Subject:** ${subject}\n**Winner:** ${winnerText}\n\n${verdict.summary}`, 4096))
+    .setColor(WINNER_COLORS[verdict.winner])
+    .addFields(
+      { name: '🤖 Bot', value: formatScores(verdict.scores.bot), inline: true },
+      { name: `🧑 ${clip(opponentLabel, 200)}`, value: formatScores(verdict.scores.opponent), inline: true },
+    );
+
+  if (verdict.turningPoints.length > 0) {
+    embed.addFields({
+      name: 'Turning points',
+      value: clip(verdict.turningPoints.map((t, i) => `${i + 1}. ${t}`).join('\n')),
+    });
+  }
+
+  if (verdict.fallacies.length > 0) {
+    embed.addFields({
+      name: 'Fallacies',
+      value: clip(verdict.fallacies
+        .map(f => `• **${f.type}** (${f.side === 'bot' ? 'bot' : opponentLabel}): "${f.quote}"`)
+        .join('\n')),
+    });
+  }
+
+  return embed;
+}
@@ -0,0 +1,132 @@
+import { page } from '../web/html.js';
+import { transcriptView, outcomeLabel } from '../web/transcriptView.js';
+import { isCorpusUrl } from '../services/webSearch.js';
+
+export const EXPORT_FORMATS = ['md', 'html', 'json'];
+
+// Identifies JSON exports; bump the version on any breaking change to the layout below
+export const EXPORT_SCHEMA = 'jb-debate/transcript';
+export const EXPORT_VERSION = 1;
+
+const sourceLink = (s) => (isCorpusUrl(s.url) ? `📚 ${s.title}` : `[${s.title}](${s.url})`);
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 50) || 'debate';
+
+/**
+ * The transcript in the versioned export layout. Keys are always present (null when unknown)
+ * and built in a fixed order, so exports of the same debate differ only in exportedAt.
+ */
+export function toExportJson(transcript, { exportedAt = Date.now() } = {}) {
+  const { outcome } = transcript;
+
+  return {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_VERSION,
+    exportedAt: iso(exportedAt),
+    debate: {
+      id: transcript.id,
+      guildId: transcript.guildId,
+      threadId: transcript.threadId,
+      subject: transcript.subject,
+      mode: transcript.mode,
+      format: transcript.format,
+      userSide: transcript.userSide ?? null,
+      startedAt: iso(transcript.createdAt),
+      endedAt: iso(transcript.endedAt),
+    },
+    participants: transcript.participants.map(p => ({
+      userId: p.userId,
+      username: p.username ?? null,
+      status: p.status,
+      eliminatedReason: p.eliminatedReason ?? null,
+      fallacyCount: p.fallacyCount ?? 0,
+    })),
+    turns: transcript.turns.map((t, index) => ({
+      index,
+      role: t.role,
+      author: t.author ?? null,
+      authorId: t.authorId ?? null,
+      messageId: t.messageId ?? null,
+      timestamp: iso(t.timestamp),
+      content: t.content,
+      sources: t.sources.map(s => ({ marker: s.marker, title: s.title, url: s.url })),
+      fallacies: t.fallacies.map(f => ({ type: f.type, severity: f.severity, quote: f.quote, explanation: f.explanation })),
+      factCheck: t.factCheck
+        ? {
+          verdict: t.factCheck.verdict,
+          claims: t.factCheck.claims.map(c => ({
+            claim: c.claim,
+            verdict: c.verdict,
+            evidence: c.evidence,
+            source: c.source ? { title: c.source.title, url: c.source.url } : null,
+          })),
+        }
+        : null,
+    })),
+    outcome: {
+      status: outcome ? 'ended' : 'active',
+      winner: outcome?.winner ?? null,
+      reason: outcome?.reason ?? null,
+      verdict: outcome?.verdict ?? null,
+    },
+  };
+}
+
+function toMarkdown(transcript) {
+  const { outcome } = transcript;
+  const lines = [
+    `# ${transcript.subject}`,
+    '',
+    `- **Outcome:** ${outcomeLabel(transcript)}${outcome?.reason ? ` (${outcome.reason.replace(/_/g, ' ')})` : ''}`,
+    `- **Format:** ${transcript.format}`,
+    `- **Started:** ${iso(transcript.createdAt)}`,
+    ...(transcript.endedAt ? [`- **Ended:** ${iso(transcript.endedAt)}`] : []),
+    `- **Participants:** ${transcript.participants.map(p => `${p.username || p.userId} (${p.eliminatedReason || p.status})`).join(', ') || 'none'}`,
+  ];
+
+  if (outcome?.verdict) {
+    lines.push('', "## Judge's verdict", '', outcome.verdict.summary);
+  }
+
+  lines.push('', '## Transcript');
+  for (const turn of transcript.turns) {
+    const author = turn.author || (turn.role === 'assistant' ? 'Bot' : 'Opponent');
+    lines.push('', `### ${author} - ${iso(turn.timestamp)}`, '', turn.content);
+
+    if (turn.sources.length > 0) {
+      lines.push('', ...turn.sources.map(s => `[${s.marker}] ${sourceLink(s)}`));
+    }
+    for (const f of turn.fallacies) {
+      lines.push('', `> ⚠️ **${f.type}** (${f.severity}): "${f.quote}" - ${f.explanation}`);
+    }
+    if (turn.factCheck) {
+      lines.push('', `> 🔍 Fact-check: **${turn.factCheck.verdict}**`);
+      for (const c of turn.factCheck.claims) {
+        lines.push(`> - ${c.verdict}: "${c.claim}" ${c.evidence}${c.source ? ` (${sourceLink(c.source)})` : ''}`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a transcript as a file to attach. format is one of EXPORT_FORMATS.
+ * Returns { name, content }.
+ */
+export function exportTranscript(transcript, format) {
+  const name = `debate-${slugify(transcript.subject)}.${format}`;
+
+  switch (format) {
+    case 'json':
+      return { name, content: JSON.stringify(toExportJson(transcript), null, 2) + '\n' };
+    case 'html':
+      return { name, content: page(transcript.subject, transcriptView(transcript), { standalone: true }) };
+    case 'md':
+      return { name, content: toMarkdown(transcript) };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
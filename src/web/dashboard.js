@@ -0,0 +1,145 @@
+import { timingSafeEqual, createHash } from 'node:crypto';
+import { html, page } from './html.js';
+import { OUTCOMES } from '../services/transcripts.js';
+import { transcriptView, outcomeLabel, formatTime, OUTCOME_LABELS } from './transcriptView.js';
+
+const DASHBOARD_USER = process.env.DASHBOARD_USER || 'admin';
+const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || '';
+
+// Debates listed per page; filters narrow it down further
+const MAX_LISTED = 200;
+
+const percent = (ratio) => (ratio === null ? '-' : `${Math.round(ratio * 100)}%`);
+
+// Compare hashes so the check takes the same time whatever the input length
+const sameSecret = (a, b) => timingSafeEqual(
+  createHash('sha256').update(a).digest(),
+  createHash('sha256').update(b).digest(),
+);
+
+/**
+ * True if the request carries the dashboard's HTTP Basic credentials
+ */
+export function isAuthorized(req, { user = DASHBOARD_USER, password = DASHBOARD_PASSWORD } = {}) {
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  if (!password || scheme !== 'Basic' || !encoded) return false;
+
+  const decoded = Buffer.from(encoded, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return false;
+
+  // Evaluate both so a wrong user takes as long as a wrong password
+  const userOk = sameSecret(decoded.slice(0, separator), user);
+  const passwordOk = sameSecret(decoded.slice(separator + 1), password);
+  return userOk && passwordOk;
+}
+
+function guildsPage(transcripts, client) {
+  const guilds = transcripts.guilds();
+
+  const rows = guilds.map(({ guildId, count }) => html`
+<tr><td><a href="/guilds/${guildId}">${client.guilds.cache.get(guildId)?.name || guildId}</a></td><td>${count}</td></tr>`);
+
+  return page('Servers', html`
+<h1>Servers</h1>
+${guilds.length === 0
+    ? html`<p class="muted">No debates recorded yet.</p>`
+    : html`<table><tr><th>Server</th><th>Debates</th></tr>${rows}</table>`}`);
+}
+
+function statsBlock(stats) {
+  const topics = stats.topTopics.map(t => html`<li>${t.topic} <span class="muted">(${t.count})</span></li>`);
+
+  return html`
+<div class="stats">
+  <div class="stat"><b>${stats.total}</b>debates</div>
+  <div class="stat"><b>${percent(stats.botWinRate)}</b>bot win rate</div>
+  <div class="stat"><b>${stats.opponentWins}</b>opponent wins</div>
+  <div class="stat"><b>${stats.draws}</b>draws</div>
+  <div class="stat"><b>${stats.avgTurns === null ? '-' : stats.avgTurns.toFixed(1)}</b>avg turns</div>
+</div>
+${topics.length > 0 ? html`<h3>Most debated topics</h3><ol>${topics}</ol>` : ''}`;
+}
+
+function guildPage(transcripts, client, guildId, query) {
+  const filters = {
+    user: query.get('user') || '',
+    subject: query.get('subject') || '',
+    outcome: OUTCOMES.includes(query.get('outcome')) ? query.get('outcome') : '',
+  };
+  const matches = transcripts.list(guildId, filters);
+  const name = client.guilds.cache.get(guildId)?.name || guildId;
+
+  const options = OUTCOMES.map(o => html`<option value="${o}"${o === filters.outcome ? html` selected` : ''}>${OUTCOME_LABELS[o]}</option>`);
+
+  const rows = matches.slice(0, MAX_LISTED).map(t => html`
+<tr>
+  <td><a href="/debates/${t.id}">${t.subject}</a></td>
+  <td>${t.participants.map(p => p.username || p.userId).join(', ') || '-'}</td>
+  <td>${outcomeLabel(t)}</td>
+  <td>${t.turns.length}</td>
+  <td>${formatTime(t.createdAt)}</td>
+</tr>`);
+
+  return page(name, html`
+<h1>${name}</h1>
+<form method="get">
+  <input name="user" placeholder="User name or ID" value="${filters.user}">
+  <input name="subject" placeholder="Subject" value="${filters.subject}">
+  <select name="outcome"><option value="">Any outcome</option>${options}</select>
+  <button>Filter</button>
+</form>
+${statsBlock(transcripts.stats(matches))}
+<p class="muted">${matches.length > MAX_LISTED ? `Showing the newest ${MAX_LISTED} of ${matches.length}` : `${matches.length} debates`}</p>
+<table>
+<tr><th>Subject</th><th>Participants</th><th>Outcome</th><th>Turns</th><th>Started</th></tr>
+${rows}
+</table>`);
+}
+
+function debatePage(transcript) {
+  return page(transcript.subject, html`
+<p><a href="/guilds/${transcript.guildId}">Back to debates</a></p>
+${transcriptView(transcript)}`);
+}
+
+/**
+ * Routes for the read-only dashboard, as [pattern, handler(req, res, url, match)] pairs.
+ * Every route requires HTTP Basic auth with DASHBOARD_USER / DASHBOARD_PASSWORD.
+ */
+export function dashboardRoutes({ transcripts, client, credentials }) {
+  const sendPage = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  };
+
+  const authorized = (handler) => (req, res, url, match) => {
+    if (!isAuthorized(req, credentials)) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Debate dashboard", charset="UTF-8"' });
+      res.end('Authentication required');
+      return;
+    }
+    handler(req, res, url, match);
+  };
+
+  return [
+    [/^\/$/, authorized((req, res) => sendPage(res, 200, guildsPage(transcripts, client)))],
+
+    [/^\/guilds\/([\w-]+)$/, authorized((req, res, url, match) =>
+      sendPage(res, 200, guildPage(transcripts, client, match[1], url.searchParams)))],
+
+    [/^\/debates\/([\w-]+)$/, authorized((req, res, url, match) => {
+      const transcript = transcripts.get(match[1]);
+      if (!transcript) {
+        sendPage(res, 404, page('Not found', html`<h1>No such debate</h1>`));
+        return;
+      }
+      sendPage(res, 200, debatePage(transcript));
+    })],
+  ];
+}
+
+/**
+ * The dashboard only runs once a password is configured
+ */
+export const dashboardEnabled = () => DASHBOARD_PASSWORD.length > 0;
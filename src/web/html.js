@@ -0,0 +1,78 @@
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+// Markup that is inserted without escaping
+class Raw {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export const raw = (value) => new Raw(value);
+
+/**
+ * Tagged template that escapes interpolated values. Arrays are joined, and values
+ * already built with html`` (or wrapped in raw()) are inserted as-is.
+ */
+export function html(strings, ...values) {
+  const render = (v) => {
+    if (Array.isArray(v)) return v.map(render).join('');
+    if (v instanceof Raw) return v.value;
+    if (v === null || v === undefined || v === false) return '';
+    return escapeHtml(v);
+  };
+  return new Raw(strings.reduce((out, s, i) => out + s + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+/**
+ * Only http(s) links are rendered, so a source URL can't run script
+ */
+export const safeUrl = (url) => (/^https?:\/\//i.test(url) ? url : '#');
+
+const STYLES = `
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+a { color: #3b5bdb; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: .4rem .5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+form { display: flex; gap: .5rem; flex-wrap: wrap; margin: 1rem 0; }
+.stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: .75rem; margin: 1rem 0; }
+.stat { background: #f4f5f7; border-radius: 6px; padding: .75rem; }
+.stat b { display: block; font-size: 1.4rem; }
+.turn { border-left: 4px solid #adb5bd; padding: .25rem .75rem; margin: 1rem 0; }
+.turn.assistant { border-color: #3b5bdb; }
+.turn .meta { color: #666; font-size: .85rem; }
+.turn .content { white-space: pre-wrap; }
+.fallacy { background: #fff4e6; padding: .4rem .6rem; margin: .4rem 0; border-radius: 4px; }
+.factcheck { background: #f1f3f5; padding: .4rem .6rem; margin: .4rem 0; border-radius: 4px; }
+.muted { color: #666; }
+`;
+
+/**
+ * Wrap a page body in the dashboard layout. Standalone pages (exported files)
+ * leave out the dashboard navigation.
+ */
+export function page(title, body, { standalone = false } = {}) {
+  return html`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${standalone ? title : `${title} - Debate dashboard`}</title>
+<style>${raw(STYLES)}</style>
+</head>
+<body>
+${standalone ? '' : html`<p><a href="/">Debate dashboard</a></p>`}
+${body}
+</body>
+</html>`.toString();
+}
@@ -0,0 +1,73 @@
+import http from 'node:http';
+import { Status } from 'discord.js';
+import { logger } from '../services/logger.js';
+import { checkLLM } from '../services/llm.js';
+import { metrics, renderMetrics } from '../services/metrics.js';
+import { dashboardRoutes, dashboardEnabled } from './dashboard.js';
+
+const HTTP_PORT = parseInt(process.env.HTTP_PORT ?? '3000', 10);
+const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0';
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Build the request handler. Routes are [pattern, handler(req, res, url, match)] pairs,
+ * tried in order against the path. The dashboard is mounted when transcripts are given.
+ */
+export function createHandler({ client, debateManager, transcripts = null, credentials }) {
+  const routes = [
+    // 200 when the Discord gateway is connected and the LLM server answers, 503 otherwise
+    [/^\/healthz$/, async (req, res) => {
+      const discord = { ok: client.ws.status === Status.Ready, ping: client.ws.ping };
+      const llm = await checkLLM();
+      const ok = discord.ok && llm.ok;
+      send(res, ok ? 200 : 503, { status: ok ? 'ok' : 'unhealthy', checks: { discord, llm } });
+    }],
+
+    [/^\/metrics$/, async (req, res) => {
+      metrics.activeDebates.set({}, debateManager.getActiveDebates().length);
+      metrics.queueDepth.set({}, debateManager.queue.depth);
+      send(res, 200, renderMetrics(), 'text/plain; version=0.0.4');
+    }],
+
+    ...(transcripts ? dashboardRoutes({ transcripts, client, credentials }) : []),
+  ];
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = req.method === 'GET' && routes.find(([pattern]) => pattern.test(url.pathname));
+
+    if (!route) {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    try {
+      await route[1](req, res, url, url.pathname.match(route[0]));
+    } catch (error) {
+      logger.error('http', 'Request failed', { path: url.pathname, error: error.message });
+      if (!res.headersSent) send(res, 500, { error: 'Internal error' });
+    }
+  };
+}
+
+/**
+ * Serve health checks, metrics and (with DASHBOARD_PASSWORD set) the dashboard on HTTP_PORT
+ * (0 disables the server). Returns the listening server, or null.
+ */
+export async function startServer({ client, debateManager, transcripts, port = HTTP_PORT, host = HTTP_HOST }) {
+  if (!port) return null;
+
+  const dashboard = dashboardEnabled() ? transcripts : null;
+  const server = http.createServer(createHandler({ client, debateManager, transcripts: dashboard }));
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  logger.info('http', 'HTTP server listening', { host, port: server.address().port, dashboard: !!dashboard });
+  return server;
+}
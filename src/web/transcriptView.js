@@ -0,0 +1,69 @@
+import { html, safeUrl } from './html.js';
+import { formatDuration } from '../ui/format.js';
+import { isCorpusUrl } from '../services/webSearch.js';
+
+export const OUTCOME_LABELS = {
+  bot: 'Bot won',
+  opponent: 'Opponent won',
+  draw: 'Draw',
+  active: 'In progress',
+};
+
+export const outcomeLabel = (t) => (t.outcome ? OUTCOME_LABELS[t.outcome.winner] || t.outcome.reason || 'Ended' : OUTCOME_LABELS.active);
+
+export const formatTime = (ms) => new Date(ms).toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+
+const scoreTotal = (s) => s.evidence + s.logic + s.rebuttal;
+
+// Corpus documents have no web page to link to
+const sourceLink = (s) => (isCorpusUrl(s.url)
+  ? html`📚 ${s.title}`
+  : html`<a href="${safeUrl(s.url)}" rel="noopener noreferrer">${s.title}</a>`);
+
+function turnBlock(turn) {
+  const author = turn.role === 'assistant' ? (turn.author || 'Bot') : (turn.author || 'Opponent');
+
+  const fallacies = turn.fallacies.map(f => html`
+<div class="fallacy">⚠️ <b>${f.type}</b> (${f.severity}): "${f.quote}"<br><span class="muted">${f.explanation}</span></div>`);
+
+  const sources = turn.sources.length > 0
+    ? html`<ol class="sources">${turn.sources.map(s => html`<li value="${s.marker}">${sourceLink(s)}</li>`)}</ol>`
+    : '';
+
+  const factCheck = turn.factCheck && html`
+<div class="factcheck">🔍 Fact-check: <b>${turn.factCheck.verdict}</b>
+<ul>${turn.factCheck.claims.map(c => html`<li>${c.verdict}: "${c.claim}" <span class="muted">${c.evidence}</span>${c.source ? html` (${sourceLink(c.source)})` : ''}</li>`)}</ul>
+</div>`;
+
+  return html`
+<div class="turn ${turn.role}">
+  <div class="meta"><b>${author}</b> · ${formatTime(turn.timestamp)}</div>
+  <div class="content">${turn.content}</div>
+  ${sources}${fallacies}${factCheck}
+</div>`;
+}
+
+/**
+ * A debate transcript as HTML: subject, outcome, participants, the judge's verdict and every turn
+ * with its sources, fallacy flags and fact-check. Shared by the dashboard and HTML exports.
+ */
+export function transcriptView(transcript) {
+  const { outcome } = transcript;
+  const duration = (transcript.endedAt || Date.now()) - transcript.createdAt;
+
+  const participants = transcript.participants.map(p => html`
+<li>${p.username || p.userId} - ${p.eliminatedReason || p.status}, ${p.fallacyCount} fallacies</li>`);
+
+  const verdict = outcome?.verdict && html`
+<h3>Judge's verdict</h3>
+<p>${outcome.verdict.summary}</p>
+<p class="muted">Score: bot ${scoreTotal(outcome.verdict.scores.bot)}/30, opponent ${scoreTotal(outcome.verdict.scores.opponent)}/30</p>`;
+
+  return html`
+<h1>${transcript.subject}</h1>
+<p>${outcomeLabel(transcript)}${outcome?.reason ? ` (${outcome.reason.replace(/_/g, ' ')})` : ''} · ${transcript.format} format · ${formatDuration(duration)}</p>
+${participants.length > 0 ? html`<h3>Participants</h3><ul>${participants}</ul>` : ''}
+${verdict}
+<h2>Transcript</h2>
+${transcript.turns.length > 0 ? transcript.turns.map(turnBlock) : html`<p class="muted">No turns recorded.</p>`}`;
+}
@@ -0,0 +1,111 @@
+import { ollama } from './setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createBot } from '../src/bot.js';
+import { createHandler } from '../src/web/server.js';
+import { FakeClient, FakeUser } from './fakes/fakeDiscord.js';
+
+const credentials = { user: 'admin', password: 'hunter2' };
+const auth = { Authorization: `Basic ${Buffer.from('admin:hunter2').toString('base64')}` };
+
+let client;
+let bot;
+let server;
+let baseUrl;
+let fallacyDebate;
+let activeDebate;
+
+const get = (path, headers = auth) => fetch(`${baseUrl}${path}`, { headers });
+
+before(async () => {
+  client = new FakeClient();
+  bot = createBot(client);
+  server = http.createServer(createHandler({ client, debateManager: bot.debateManager, transcripts: bot.transcripts, credentials }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const channel = client.createChannel();
+  const alice = new FakeUser('alice');
+  const bob = new FakeUser('bob');
+
+  // alice loses on fallacies against a sourced opening
+  ollama.setSearchResults([{ title: 'Cat study', url: 'https://example.com/cats', content: 'Cats sleep 15 hours a day.' }]);
+  ollama.setStructured('citations', {
+    text: 'Cats sleep 15 hours a day [1], so they are lazy.',
+    citations: [{ marker: 1, evidence: 'Cats sleep 15 hours a day.' }],
+  });
+  ollama.queueReplies({ tool_calls: [{ function: { name: 'web_search', arguments: { query: 'cat sleep' } } }] }, 'Cats are lazy.');
+  const start = channel.post(alice, 'debate me cats are <b>better</b> than dogs');
+  await bot.handleMessage(start);
+  ollama.setStructured('fallacies', body => ({
+    fallacies: [{ type: 'ad hominem', quote: body.messages.at(-1).content, explanation: 'Attacks the person.', severity: 'major' }],
+  }));
+  await bot.handleMessage(start.thread.post(alice, 'Only a dog person would say that.'));
+  await bot.handleMessage(start.thread.post(alice, 'You are clearly a dog person, so you are wrong.'));
+  fallacyDebate = bot.debateManager.getDebate(start.thread.id);
+
+  // bob's debate is still in progress
+  ollama.reset();
+  const other = channel.post(bob, 'debate me tea beats coffee');
+  await bot.handleMessage(other);
+  activeDebate = bot.debateManager.getDebate(other.thread.id);
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('the dashboard requires the configured credentials', async () => {
+  const anonymous = await get('/', {});
+  assert.equal(anonymous.status, 401);
+  assert.match(anonymous.headers.get('www-authenticate'), /^Basic/);
+
+  const wrong = await get('/', { Authorization: `Basic ${Buffer.from('admin:nope').toString('base64')}` });
+  assert.equal(wrong.status, 401);
+
+  assert.equal((await get('/')).status, 200);
+});
+
+test('servers are listed with their debate counts', async () => {
+  const body = await (await get('/')).text();
+
+  assert.match(body, /<a href="\/guilds\/guild-1">Test Server<\/a><\/td><td>2<\/td>/);
+});
+
+test('a guild page lists debates with stats, filtered by user, subject and outcome', async () => {
+  const all = await (await get('/guilds/guild-1')).text();
+  assert.match(all, /2 debates/);
+  assert.match(all, /<b>100%<\/b>bot win rate/);
+  assert.ok(all.includes('cats are &lt;b&gt;better&lt;/b&gt; than dogs'), 'subjects are escaped');
+
+  const byUser = await (await get('/guilds/guild-1?user=BOB')).text();
+  assert.match(byUser, /1 debates/);
+  assert.ok(byUser.includes(`/debates/${activeDebate.id}`));
+
+  const bySubject = await (await get('/guilds/guild-1?subject=coffee')).text();
+  assert.ok(bySubject.includes(`/debates/${activeDebate.id}`));
+  assert.ok(!bySubject.includes(`/debates/${fallacyDebate.id}`));
+
+  const active = await (await get('/guilds/guild-1?outcome=active')).text();
+  assert.ok(active.includes(`/debates/${activeDebate.id}`));
+  assert.ok(!active.includes(`/debates/${fallacyDebate.id}`));
+});
+
+test('a transcript shows every turn with sources, fallacies and the outcome', async () => {
+  const transcript = bot.transcripts.get(fallacyDebate.id);
+  assert.deepEqual(transcript.turns.map(t => t.role), ['assistant', 'user', 'assistant', 'user', 'assistant']);
+  assert.deepEqual(transcript.turns[0].sources, [{ marker: 1, title: 'Cat study', url: 'https://example.com/cats' }]);
+  assert.ok(transcript.turns.every(t => t.messageId), 'turns link back to their Discord messages');
+  assert.equal(transcript.outcome.reason, 'fallacies_detected');
+
+  const body = await (await get(`/debates/${fallacyDebate.id}`)).text();
+  assert.match(body, /Bot won \(fallacies detected\)/);
+  assert.match(body, /Cats sleep 15 hours a day \[1\], so they are lazy\./);
+  assert.match(body, /<a href="https:\/\/example.com\/cats" rel="noopener noreferrer">Cat study<\/a>/);
+  assert.match(body, /⚠️ <b>ad hominem<\/b> \(major\): "Only a dog person would say that\."/);
+  assert.match(body, /<h3>Judge's verdict<\/h3>\n<p>The bot argued better\.<\/p>/);
+});
+
+test('unknown debates are not found', async () => {
+  assert.equal((await get('/debates/does-not-exist')).status, 404);
+});
+
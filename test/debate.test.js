@@ -0,0 +1,248 @@
+import { ollama } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBot } from '../src/bot.js';
+import { Moderator } from '../src/services/moderation.js';
+import { FakeClient, FakeUser, FakeInteraction } from './fakes/fakeDiscord.js';
+
+let client;
+let bot;
+let alice;
+
+beforeEach(() => {
+  ollama.reset();
+  client = new FakeClient();
+  bot = createBot(client);
+  alice = new FakeUser('alice');
+});
+
+/**
+ * Start a debate with a text trigger and return its thread and state
+ */
+async function startDebate(subject = 'social media does more harm than good') {
+  const message = client.createChannel().post(alice, `debate me ${subject}`);
+  await bot.handleMessage(message);
+  const thread = message.thread;
+  return { thread, debate: bot.debateManager.getDebate(thread.id) };
+}
+
+async function argue(thread, content, author = alice) {
+  const message = thread.post(author, content);
+  await bot.handleMessage(message);
+  return message;
+}
+
+function assertConcluded(thread, debate, { reason, winner, outcome }) {
+  assert.equal(debate.status, 'ended');
+  assert.equal(debate.endReason, reason);
+  assert.equal(debate.winner, winner);
+
+  const announcement = thread.messageLog.find(m => m.content.includes('DEBATE CONCLUDED'));
+  assert.ok(announcement, 'the result is announced in the thread');
+  assert.equal(announcement.embeds.length, 1, 'with the judge\'s scorecard');
+
+  const profile = bot.profileManager.getProfile(debate.guildId, alice.id);
+  assert.equal(profile.history[0].outcome, outcome);
+}
+
+test('the opponent loses after too many fallacies, and each one is quoted back', async () => {
+  // Every message is flagged as a major fallacy (weight 1.5; the default threshold is 3)
+  ollama.setStructured('fallacies', body => ({
+    fallacies: [{ type: 'ad hominem', quote: body.messages.at(-1).content, explanation: 'Attacks the person.', severity: 'major' }],
+  }));
+  const { thread, debate } = await startDebate();
+
+  const first = await argue(thread, 'Only an idiot would defend social media.');
+  assert.equal(debate.status, 'active');
+  assert.match(first.replies[0].content, /^⚠️ \*\*ad hominem\*\* \(major\): "Only an idiot would defend social media\."/);
+
+  await argue(thread, 'You clearly have never used it, you fool.');
+
+  assert.match(thread.messageLog.at(-1).content, /Too many logical fallacies there, alice/);
+  assertConcluded(thread, debate, { reason: 'fallacies_detected', winner: 'bot', outcome: 'loss' });
+});
+
+test('the opponent loses after running out of arguments', async () => {
+  const { thread, debate } = await startDebate();
+
+  await argue(thread, 'ok');
+  assert.equal(debate.status, 'active');
+  await argue(thread, 'whatever');
+
+  // Nothing to rebut, so the last reply is dropped
+  assert.ok(!thread.botMessages.includes('💭 *Thinking...*'));
+  assertConcluded(thread, debate, { reason: 'opponent_inactive', winner: 'bot', outcome: 'loss' });
+});
+
+test('a victory the bot claims can be overruled by the judge', async () => {
+  const { thread, debate } = await startDebate();
+  ollama.queueReplies('You have nothing left, I win. [VICTORY]');
+  ollama.setStructured('scores', {
+    scores: {
+      bot: { evidence: 3, logic: 4, rebuttal: 3 },
+      opponent: { evidence: 8, logic: 8, rebuttal: 7 },
+    },
+    winner: 'opponent',
+    turningPoints: ['alice cited the teen mental health data'],
+    fallacies: [],
+    summary: 'alice made the stronger case.',
+  });
+
+  await argue(thread, 'Rates of teen anxiety doubled after smartphones spread.');
+
+  const reply = thread.messageLog.find(m => m.content.startsWith('You have nothing left'));
+  assert.equal(reply.content, 'You have nothing left, I win.', 'the marker is stripped');
+  assert.match(thread.messageLog.at(-1).content, /The judge overruled me/);
+  assertConcluded(thread, debate, { reason: 'victory_declared', winner: 'opponent', outcome: 'win' });
+});
+
+test('conceding with /debate concede ends the debate', async () => {
+  const { thread, debate } = await startDebate();
+
+  const interaction = new FakeInteraction(thread, alice, { subcommand: 'concede' });
+  await bot.handleInteraction(interaction);
+
+  assert.deepEqual(interaction.responses, ['❌ **alice** concedes.']);
+  assertConcluded(thread, debate, { reason: 'conceded', winner: 'bot', outcome: 'concession' });
+});
+
+test('the bot loses when a fact-check disputes its claims', async () => {
+  const { thread, debate } = await startDebate();
+  bot.guildSettings.set(debate.guildId, 'falsehoodThreshold', 1);
+  const opening = thread.messageLog.find(m => m.buttonIds.includes('debate_factcheck'));
+
+  // Research finds a source, and the verdict pass says it contradicts the opening
+  ollama.setSearchResults([{ title: 'Survey', url: 'https://example.com/survey', content: 'Most teens report feeling more connected.' }]);
+  ollama.queueReplies({ tool_calls: [{ function: { name: 'web_search', arguments: { query: 'teens social media survey' } } }] }, 'The survey says the opposite.');
+  ollama.setStructured('claims', {
+    claims: [{ claim: 'Teens feel isolated', verdict: 'disputed', evidence: 'Most teens report feeling more connected.', source: 1 }],
+  });
+
+  const interaction = new FakeInteraction(thread, alice, { customId: 'debate_factcheck', message: opening });
+  await bot.handleInteraction(interaction);
+
+  assert.match(interaction.responses[0], /^🔍 \*\*Fact-check\*\* requested by <@\d+>: \*\*❌ Disputed\*\*/);
+  assert.equal(debate.falsehoodCount, 1);
+  assert.match(thread.messageLog.at(-1).content, /My facts didn't survive the fact-checks/);
+  assertConcluded(thread, debate, { reason: 'falsehoods_detected', winner: 'opponent', outcome: 'win' });
+});
+
+test('team members knocked out along the way lose even if the team wins', () => {
+  const debate = { winner: 'opponent', endReason: 'falsehoods_detected' };
+  const outcome = (eliminatedReason) => bot.profileManager.getOutcome(debate, { eliminatedReason });
+
+  assert.equal(outcome(undefined), 'win');
+  assert.equal(outcome('fallacies_detected'), 'loss');
+  assert.equal(outcome('opponent_inactive'), 'loss');
+  assert.equal(outcome('conceded'), 'concession');
+});
+
+test('the first reply waits for the stance from the opening before it is checked', async () => {
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  ollama.setStructured('side', () => held.then(() => ({ side: 'pro', position: 'Social media does more harm' })));
+  const { thread, debate } = await startDebate();
+  assert.equal(debate.stance, undefined, 'the opening is posted before the stance is known');
+
+  const reply = argue(thread, 'Social media connects isolated people with communities.');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  release();
+  await reply;
+
+  assert.equal(debate.stance.side, 'pro');
+  assert.ok(ollama.requests.some(r => r.format?.properties?.contradicts), 'the reply was checked against the stance');
+});
+
+test('replies only stream when moderation is off; moderated ones appear once they are screened', async () => {
+  ollama.setStructured('safe', body => (body.messages.at(-1).content === 'A spicy opening.'
+    ? { safe: false, category: 'harassment', reason: 'Too spicy' }
+    : { safe: true, reason: 'Fine' }));
+  ollama.queueReplies('A spicy opening.', 'A gentler opening.');
+  const { thread } = await startDebate();
+  const [opening] = thread.messageLog.filter(m => m.author.bot && m.edits.length > 0);
+  assert.deepEqual(opening.edits.map(e => e.split('\n')[0]), ['A gentler opening.'], 'no partial or unscreened text is shown');
+  assert.ok(ollama.chatRequests.every(r => !r.stream));
+
+  bot = createBot(client, { moderator: new Moderator({ enabled: false }) });
+  ollama.reset();
+  await startDebate();
+  assert.ok(ollama.chatRequests[0].stream, 'the opening streams into its placeholder');
+});
+
+test('an exhibition that fails or is cut off by a restart is ended, freeing its slot', async () => {
+  bot.debateManager.generateExhibitionTurn = async () => { throw new Error('model unavailable'); };
+  const message = client.createChannel().post(alice, 'debate me cats are better than dogs');
+  await bot.startDebate(message, 'cats are better than dogs', { mode: 'exhibition', rounds: 1 });
+  const failed = bot.debateManager.getDebate(message.thread.id);
+  assert.equal(failed.status, 'ended');
+  assert.equal(failed.endReason, 'exhibition_failed');
+  assert.equal(bot.transcripts.get(failed.id).outcome.reason, 'exhibition_failed');
+
+  const interrupted = { ...failed, threadId: 'thread-restored', id: 'restored', status: 'active', endReason: null };
+  bot.debateManager.debates.set(interrupted.threadId, interrupted);
+  const { debateManager, transcripts, profileManager, guildSettings } = bot;
+  bot = createBot(client, { debateManager, transcripts, profileManager, guildSettings });
+  assert.equal(interrupted.status, 'ended');
+  assert.equal(interrupted.endReason, 'exhibition_interrupted');
+});
+
+test('a debate ended while a turn generates is concluded once, and the turn is dropped', async () => {
+  const { thread, debate } = await startDebate();
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  ollama.setStructured('fallacies', () => held.then(() => ({ fallacies: [] })));
+
+  const turn = argue(thread, 'Social media connects isolated people with communities.');
+  while (!bot.debateManager.pendingTurns.has(thread.id)) await new Promise(resolve => setTimeout(resolve, 10));
+  const interaction = new FakeInteraction(thread, alice, { subcommand: 'concede' });
+  const conceding = bot.handleInteraction(interaction);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  release();
+  await Promise.all([turn, conceding]);
+
+  assert.equal(thread.messageLog.filter(m => m.content.includes('DEBATE CONCLUDED')).length, 1);
+  assert.ok(thread.messageLog.at(-1).content.includes('DEBATE CONCLUDED'), 'no reply after the verdict');
+  assertConcluded(thread, debate, { reason: 'conceded', winner: 'bot', outcome: 'concession' });
+});
+
+test('a reply split over several messages is fact-checked whole and recorded on its turn', async () => {
+  bot.guildSettings.set('guild-1', 'maxLength', 1900);
+  const long = `${'Feeds are tuned for outrage, and outrage keeps people scrolling. '.repeat(28)}Teens report more anxiety [1].`;
+  const title = `National survey of teen wellbeing and social media use, ${'with a very long subtitle '.repeat(4)}`;
+  ollama.setSearchResults([{ title, url: 'https://example.com/teens', content: 'Teens report more anxiety.' }]);
+  ollama.setStructured('citations', { text: long, citations: [{ marker: 1, evidence: 'Teens report more anxiety.' }] });
+  ollama.queueReplies({ tool_calls: [{ function: { name: 'web_search', arguments: { query: 'teen anxiety' } } }] }, long);
+  const { thread, debate } = await startDebate();
+
+  const last = thread.messageLog.find(m => m.buttonIds.includes('debate_factcheck'));
+  const [turn] = bot.transcripts.get(debate.id).turns;
+  assert.equal(turn.messageIds.length, 2, 'the reply took two messages');
+  assert.equal(last.id, turn.messageIds[1], 'the button is on the last one');
+
+  ollama.reset();
+  const interaction = new FakeInteraction(thread, alice, { customId: 'debate_factcheck', message: last });
+  await bot.handleInteraction(interaction);
+
+  const research = ollama.chatRequests[0].messages.at(-1).content;
+  assert.ok(research.startsWith('Feeds are tuned for outrage'), 'the whole reply is checked, not the last chunk');
+  assert.ok(research.endsWith('Teens report more anxiety [1].'));
+  assert.equal(bot.transcripts.get(debate.id).turns[0].factCheck.verdict, 'supported');
+  assert.equal(bot.debateManager.getFactCheck(debate, turn.messageId).messageId, turn.messageId);
+});
+
+test('with a stance to hold, drafts are checked before they are shown, even with moderation off', async () => {
+  bot = createBot(client, { moderator: new Moderator({ enabled: false }) });
+  ollama.setStructured('contradicts', body => (body.messages.at(-1).content.includes('switch sides')
+    ? { contradicts: true, explanation: 'Concedes the point' }
+    : { contradicts: false, explanation: 'Consistent' }));
+  const { thread, debate } = await startDebate();
+
+  ollama.queueReplies('Fine, I switch sides: social media is great.', 'Social media still does more harm.');
+  const chats = ollama.chatRequests.length;
+  await argue(thread, 'Social media connects isolated people with communities.');
+
+  assert.equal(debate.stanceViolations.length, 1, 'the first draft was rejected and redrafted');
+  assert.ok(ollama.chatRequests.slice(chats).every(r => !r.stream), 'no draft streams into the thread');
+  const reply = thread.messageLog.filter(m => m.author.bot && m.edits.length > 0).at(-1);
+  assert.ok(reply.edits.every(e => !e.includes('switch sides')), 'the rejected draft was never shown');
+});
@@ -0,0 +1,149 @@
+import { ollama } from './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBot } from '../src/bot.js';
+import { execute } from '../src/commands/debate.js';
+import { splitSources } from '../src/services/ollama.js';
+import { EXPORT_SCHEMA, EXPORT_VERSION, exportTranscript, toExportJson } from '../src/ui/transcriptExport.js';
+import { FakeClient, FakeUser, FakeInteraction } from './fakes/fakeDiscord.js';
+
+let client;
+let bot;
+let thread;
+let debate;
+const alice = new FakeUser('alice');
+
+const runExport = async (channel, format) => {
+  const interaction = new FakeInteraction(channel, alice, { subcommand: 'export', options: { format } });
+  await execute(interaction, bot);
+  return interaction;
+};
+
+const attachment = (interaction) => {
+  const [file] = interaction.channel.messageLog.at(-1).files;
+  return { name: file.name, content: file.attachment.toString() };
+};
+
+before(async () => {
+  client = new FakeClient();
+  bot = createBot(client);
+
+  ollama.setSearchResults([{ title: 'Cat <study>', url: 'https://example.com/cats', content: 'Cats sleep 15 hours a day.' }]);
+  ollama.setStructured('citations', {
+    text: 'Cats sleep 15 hours a day [1], so they are lazy.',
+    citations: [{ marker: 1, evidence: 'Cats sleep 15 hours a day.' }],
+  });
+  ollama.queueReplies({ tool_calls: [{ function: { name: 'web_search', arguments: { query: 'cat sleep' } } }] }, 'Cats are lazy.');
+  const start = client.createChannel().post(alice, 'debate me cats are <b>better</b> than dogs');
+  await bot.handleMessage(start);
+  ollama.setStructured('fallacies', body => ({
+    fallacies: [{ type: 'ad hominem', quote: body.messages.at(-1).content, explanation: 'Attacks the person.', severity: 'major' }],
+  }));
+  await bot.handleMessage(start.thread.post(alice, 'Only a dog person would say that.'));
+  await bot.handleMessage(start.thread.post(alice, 'You are clearly a dog person, so you are wrong.'));
+
+  thread = start.thread;
+  debate = bot.debateManager.getDebate(thread.id);
+  ollama.reset();
+});
+
+test('JSON exports are versioned and keep a fixed layout', async () => {
+  const interaction = await runExport(thread, 'json');
+  const { name, content } = attachment(interaction);
+  assert.equal(name, 'debate-cats-are-b-better-b-than-dogs.json');
+  assert.match(interaction.responses.at(-1), /^📄 Transcript of \*\*cats are <b>better<\/b> than dogs\*\* \(5 turns\)/);
+
+  const exported = JSON.parse(content);
+  assert.equal(exported.schema, EXPORT_SCHEMA);
+  assert.equal(exported.version, EXPORT_VERSION);
+  assert.deepEqual(Object.keys(exported), ['schema', 'version', 'exportedAt', 'debate', 'participants', 'turns', 'outcome']);
+  assert.equal(exported.debate.id, debate.id);
+  assert.deepEqual(exported.participants.map(p => [p.username, p.eliminatedReason]), [['alice', 'fallacies_detected']]);
+
+  const [opening, reply] = exported.turns;
+  assert.deepEqual(Object.keys(opening), ['index', 'role', 'author', 'authorId', 'messageId', 'timestamp', 'content', 'sources', 'fallacies', 'factCheck']);
+  assert.deepEqual(opening.sources, [{ marker: 1, title: 'Cat <study>', url: 'https://example.com/cats' }]);
+  assert.ok(!Number.isNaN(Date.parse(opening.timestamp)));
+  assert.equal(reply.fallacies[0].quote, 'Only a dog person would say that.');
+  assert.deepEqual(
+    { status: exported.outcome.status, winner: exported.outcome.winner, reason: exported.outcome.reason },
+    { status: 'ended', winner: 'bot', reason: 'fallacies_detected' },
+  );
+
+  // Same debate, same export time: byte-for-byte the same
+  const transcript = bot.transcripts.get(debate.id);
+  assert.equal(JSON.stringify(toExportJson(transcript, { exportedAt: 0 })), JSON.stringify(toExportJson(transcript, { exportedAt: 0 })));
+});
+
+test('Markdown exports list turns with timestamps, sources, fallacies and the verdict', async () => {
+  const { name, content } = attachment(await runExport(thread, 'md'));
+
+  assert.equal(name, 'debate-cats-are-b-better-b-than-dogs.md');
+  assert.match(content, /^# cats are <b>better<\/b> than dogs\n/);
+  assert.match(content, /- \*\*Outcome:\*\* Bot won \(fallacies detected\)/);
+  assert.match(content, /### alice - \d{4}-\d{2}-\d{2}T[\d:.]+Z\n\nOnly a dog person would say that\./);
+  assert.match(content, /\[1\] \[Cat <study>\]\(https:\/\/example.com\/cats\)/);
+  assert.match(content, /> ⚠️ \*\*ad hominem\*\* \(major\): "Only a dog person would say that\."/);
+  assert.match(content, /## Judge's verdict\n\nThe bot argued better\./);
+});
+
+test('HTML exports are standalone pages with everything escaped', async () => {
+  const { content } = attachment(await runExport(thread, 'html'));
+
+  assert.match(content, /^<!doctype html>/i);
+  assert.ok(!content.includes('href="/"'), 'no dashboard navigation');
+  assert.ok(content.includes('<h1>cats are &lt;b&gt;better&lt;/b&gt; than dogs</h1>'));
+  assert.ok(content.includes('>Cat &lt;study&gt;</a>'));
+});
+
+test('exports still work once the debate is gone, and fail politely without one', async () => {
+  bot.debateManager.debates.delete(thread.id);
+  const { content } = attachment(await runExport(thread, 'json'));
+  assert.equal(JSON.parse(content).debate.id, debate.id);
+
+  const elsewhere = await runExport(client.createChannel('random'), 'md');
+  assert.deepEqual(elsewhere.responses, ['There is no debate transcript for this thread.']);
+});
+
+test('debates without a stored transcript are rebuilt from the thread', async () => {
+  const old = client.createChannel().post(alice, 'debate me tea beats coffee');
+  const oldThread = await old.startThread({ name: 'tea beats coffee' });
+  await oldThread.send('Tea has less caffeine [1].\n\n[1] [Tea facts](https://example.com/tea)');
+  oldThread.post(alice, 'Coffee tastes better.');
+
+  const interaction = await runExport(oldThread, 'json');
+  assert.match(interaction.responses.at(-1), /^📄 Transcript of \*\*tea beats coffee\*\* \(2 messages, rebuilt from the thread without fallacies or fact-checks\)/);
+  const exported = JSON.parse(attachment(interaction).content);
+  assert.deepEqual(exported.turns.map(t => [t.role, t.author, t.content]), [
+    ['assistant', null, 'Tea has less caffeine [1].'],
+    ['user', 'alice', 'Coffee tastes better.'],
+  ]);
+  assert.deepEqual(exported.turns[0].sources, [{ marker: 1, title: 'Tea facts', url: 'https://example.com/tea' }]);
+
+  const quiet = await client.createChannel().post(alice, 'hello').startThread({ name: 'chat' });
+  assert.deepEqual((await runExport(quiet, 'md')).responses, ['There is no debate transcript for this thread.']);
+});
+
+test('in-progress debates export with an active outcome', () => {
+  const transcript = { ...bot.transcripts.get(debate.id), outcome: null, endedAt: null };
+  const exported = toExportJson(transcript);
+
+  assert.deepEqual(exported.outcome, { status: 'active', winner: null, reason: null, verdict: null });
+  assert.equal(exported.debate.endedAt, null);
+  assert.throws(() => exportTranscript(transcript, 'pdf'), /Unknown export format/);
+});
+
+test('knowledge-base documents are cited by path, without a link', () => {
+  const { text, sources } = splitSources('Cats nap a lot [1] [2].\n\n[1] 📚 animals/cats.md\n[2] [Cat <study>](https://example.com/cats)');
+  assert.equal(text, 'Cats nap a lot [1] [2].');
+  assert.deepEqual(sources[0], { marker: 1, title: 'animals/cats.md', url: 'corpus://animals/cats.md' });
+
+  const original = bot.transcripts.get(debate.id);
+  const transcript = { ...original, turns: original.turns.map((t, i) => (i === 0 ? { ...t, sources } : t)) };
+  const markdown = exportTranscript(transcript, 'md').content;
+  assert.match(markdown, /\[1\] 📚 animals\/cats\.md\n\[2\] \[Cat <study>\]\(https:\/\/example.com\/cats\)/);
+
+  const page = exportTranscript(transcript, 'html').content;
+  assert.ok(page.includes('📚 animals/cats.md'));
+  assert.ok(!page.includes('corpus://'), 'corpus paths are not linked');
+});
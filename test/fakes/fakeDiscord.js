@@ -0,0 +1,229 @@
+import { EventEmitter } from 'node:events';
+import { ChannelType, Status } from 'discord.js';
+
+let nextId = 1000;
+const snowflake = () => String(nextId++);
+
+export class FakeUser {
+  constructor(username, { bot = false, id = snowflake() } = {}) {
+    this.id = id;
+    this.username = username;
+    this.tag = username;
+    this.bot = bot;
+  }
+
+  setPresence() {}
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+/**
+ * Just enough of a discord.js Client for createBot: events, the bot user and channel lookup
+ */
+export class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.user = new FakeUser('DebateBot', { bot: true });
+    this.guilds = { cache: new Map([['guild-1', { id: 'guild-1', name: 'Test Server' }]]) };
+    this.channelsById = new Map();
+    this.channels = {
+      fetch: async (id) => {
+        const channel = this.channelsById.get(id);
+        if (!channel) throw new Error('Unknown Channel');
+        return channel;
+      },
+    };
+    this.application = { commands: { set: async () => {} } };
+    this.ws = { status: Status.Ready, ping: 42 };
+  }
+
+  /**
+   * A text channel in the given guild, registered so channels.fetch finds it
+   */
+  createChannel(name = 'general', guildId = 'guild-1') {
+    const channel = new FakeChannel(this, { name, guildId });
+    this.channelsById.set(channel.id, channel);
+    return channel;
+  }
+}
+
+export class FakeMessage {
+  constructor(channel, author, payload) {
+    const { content = '', components = [], embeds = [], files = [] } = typeof payload === 'string' ? { content: payload } : payload;
+    this.id = snowflake();
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guildId = channel.guildId;
+    this.client = channel.client;
+    this.author = author;
+    this.createdTimestamp = Date.now();
+    this.content = content;
+    this.components = components;
+    this.embeds = embeds;
+    this.files = files;
+    this.thread = null;
+    this.deleted = false;
+    this.reactions = { cache: new Map() };
+    this.replies = [];
+    this.edits = [];
+  }
+
+  get mentions() {
+    return { has: (user) => this.content.includes(`<@${user.id}>`) };
+  }
+
+  async reply(payload) {
+    const message = await this.channel.send(payload);
+    this.replies.push(message);
+    return message;
+  }
+
+  async edit(payload) {
+    const { content = this.content, components = this.components, embeds = this.embeds } =
+      typeof payload === 'string' ? { content: payload } : payload;
+    Object.assign(this, { content, components, embeds });
+    this.edits.push(content);
+    return this;
+  }
+
+  async delete() {
+    this.deleted = true;
+    this.channel.messageLog = this.channel.messageLog.filter(m => m !== this);
+  }
+
+  async react(emoji) {
+    const reaction = this.reactions.cache.get(emoji) || { emoji, count: 0 };
+    reaction.count++;
+    this.reactions.cache.set(emoji, reaction);
+  }
+
+  async startThread({ name }) {
+    if (this.thread) throw new Error('A thread has already been created for this message.');
+    this.thread = new FakeChannel(this.client, { name, guildId: this.guildId, parent: this.channel });
+    this.client.channelsById.set(this.thread.id, this.thread);
+    return this.thread;
+  }
+
+  /**
+   * Custom IDs of the buttons attached to the message
+   */
+  get buttonIds() {
+    return this.components.flatMap(row => row.toJSON().components.map(c => c.custom_id));
+  }
+}
+
+/**
+ * A text channel, or a public thread when it has a parent. Messages sent by anyone
+ * are kept in messageLog, oldest first.
+ */
+export class FakeChannel {
+  constructor(client, { name, guildId, parent = null }) {
+    this.id = snowflake();
+    this.client = client;
+    this.name = name;
+    this.guildId = guildId;
+    this.parent = parent;
+    this.type = parent ? ChannelType.PublicThread : ChannelType.GuildText;
+    this.archived = false;
+    this.messageLog = [];
+    this.messages = {
+      fetch: async (query) => {
+        if (typeof query === 'string') {
+          const message = this.messageLog.find(m => m.id === query);
+          if (!message) throw new Error('Unknown Message');
+          return message;
+        }
+        // Newest first, like discord.js
+        return this.messageLog.slice(-(query?.limit || 50)).reverse();
+      },
+    };
+  }
+
+  isThread() {
+    return this.parent !== null;
+  }
+
+  async setArchived(archived = true) {
+    this.archived = archived;
+    return this;
+  }
+
+  async send(payload) {
+    const message = new FakeMessage(this, this.client.user, payload);
+    this.messageLog.push(message);
+    return message;
+  }
+
+  async sendTyping() {}
+
+  /**
+   * A message from a user, as the client would receive it
+   */
+  post(author, content) {
+    const message = new FakeMessage(this, author, content);
+    this.messageLog.push(message);
+    return message;
+  }
+
+  /**
+   * Content of everything the bot has sent here
+   */
+  get botMessages() {
+    return this.messageLog.filter(m => m.author.bot).map(m => m.content);
+  }
+}
+
+/**
+ * A /debate slash command (pass subcommand and options) or a button click (pass customId and
+ * the message it is on), run by user in channel
+ */
+export class FakeInteraction {
+  constructor(channel, user, { subcommand = null, options = {}, customId = null, message = null } = {}) {
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guildId = channel.guildId;
+    this.user = user;
+    this.commandName = subcommand && 'debate';
+    this.customId = customId;
+    this.message = message;
+    this.replied = false;
+    this.deferred = false;
+    this.responses = [];
+    this.options = {
+      getSubcommand: () => subcommand,
+      getString: (name) => options[name] ?? null,
+      getInteger: (name) => options[name] ?? null,
+      getChannel: (name) => options[name] ?? null,
+    };
+  }
+
+  isChatInputCommand() {
+    return this.commandName !== null;
+  }
+
+  isButton() {
+    return this.customId !== null;
+  }
+
+  async reply(payload) {
+    this.replied = true;
+    this.responses.push(typeof payload === 'string' ? payload : payload.content);
+  }
+
+  async deferReply() {
+    this.deferred = true;
+  }
+
+  // Deferred replies end up as a message in the channel, like in Discord
+  async editReply(payload) {
+    const message = await this.channel.send(payload);
+    this.responses.push(message.content);
+    return message;
+  }
+
+  async followUp(payload) {
+    return this.reply(payload);
+  }
+}
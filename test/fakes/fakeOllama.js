@@ -0,0 +1,159 @@
+import http from 'node:http';
+
+/**
+ * Default answers for structured (JSON schema) requests, keyed by a property that identifies the schema
+ */
+const STRUCTURED_DEFAULTS = {
+  fallacies: () => ({ fallacies: [] }),
+  citations: (body) => ({ text: extractReply(body), citations: [] }),
+  claims: () => ({ claims: [] }),
+  botPosition: () => ({ botPosition: 'The bot disagrees', botClaims: [], opponentPoints: [] }),
+  side: () => ({ side: 'con', position: 'The bot disagrees' }),
+  contradicts: () => ({ contradicts: false, explanation: 'Consistent' }),
+  safe: () => ({ safe: true, reason: 'Fine' }),
+  scores: () => ({
+    scores: {
+      bot: { evidence: 7, logic: 7, rebuttal: 7 },
+      opponent: { evidence: 5, logic: 5, rebuttal: 5 },
+    },
+    winner: 'bot',
+    turningPoints: [],
+    fallacies: [],
+    summary: 'The bot argued better.',
+  }),
+};
+
+// The citation check sends "REPLY:\n<text>\n\nSOURCES:..."; echo the reply back unchanged
+function extractReply(body) {
+  const prompt = body.messages.at(-1)?.content || '';
+  return prompt.match(/^REPLY:\n([\s\S]*?)\n\nSOURCES:/)?.[1] || prompt;
+}
+
+/**
+ * Scriptable Ollama-compatible server for tests.
+ *
+ * - Free-form chat requests are answered from a queue of canned replies (see queueReplies),
+ *   falling back to defaultReply. A reply is a string, '' for an empty response, or
+ *   { content, tool_calls } for tool calls.
+ * - Structured requests (with a JSON schema `format`) get a sensible default per schema,
+ *   overridable with setStructured(key, valueOrFn). The function may be async, to hold a response back.
+ * - GET /search answers like SearXNG with the results from setSearchResults().
+ * Every request is recorded in `requests`.
+ */
+export class FakeOllama {
+  constructor() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.reset();
+  }
+
+  reset() {
+    this.requests = [];
+    this.replies = [];
+    this.structured = {};
+    this.searchResults = [];
+    this.searchRequests = [];
+    this.defaultReply = 'A canned reply that argues the other side with conviction.';
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  queueReplies(...replies) {
+    this.replies.push(...replies);
+  }
+
+  setStructured(key, value) {
+    this.structured[key] = value;
+  }
+
+  /**
+   * Results for every search; null makes searches fail
+   */
+  setSearchResults(results) {
+    this.searchResults = results;
+  }
+
+  /**
+   * Free-form (non-structured) chat requests received so far
+   */
+  get chatRequests() {
+    return this.requests.filter(r => !r.format);
+  }
+
+  async respond(body) {
+    if (body.format) {
+      const key = Object.keys(body.format.properties || {})
+        .find(k => k in this.structured || k in STRUCTURED_DEFAULTS);
+      const answer = key in this.structured ? this.structured[key] : STRUCTURED_DEFAULTS[key];
+      const value = typeof answer === 'function' ? await answer(body) : answer;
+      return { role: 'assistant', content: JSON.stringify(value ?? {}) };
+    }
+
+    const next = this.replies.length > 0 ? this.replies.shift() : this.defaultReply;
+    const reply = typeof next === 'function' ? next(body) : next;
+    return typeof reply === 'string'
+      ? { role: 'assistant', content: reply }
+      : { role: 'assistant', content: reply.content || '', tool_calls: reply.tool_calls };
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/search') {
+      this.searchRequests.push(url.searchParams.get('q'));
+      if (this.searchResults === null) {
+        res.statusCode = 400;
+        res.end();
+        return;
+      }
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ results: this.searchResults }));
+      return;
+    }
+
+    // Model list, used by the health check
+    if (req.method === 'GET' && url.pathname === '/api/tags') {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ models: [{ name: 'test-model' }] }));
+      return;
+    }
+
+    if (url.pathname !== '/api/chat') {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = JSON.parse(raw);
+    this.requests.push(body);
+
+    const message = await this.respond(body);
+    const done = { model: body.model, done: true, done_reason: 'stop', prompt_eval_count: 10, eval_count: 5 };
+
+    if (!body.stream) {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ ...done, message }));
+      return;
+    }
+
+    // Stream the content in two pieces, like a model emitting tokens
+    res.setHeader('content-type', 'application/x-ndjson');
+    const half = Math.ceil(message.content.length / 2);
+    const pieces = [message.content.slice(0, half), message.content.slice(half)];
+    pieces.forEach((content, i) => {
+      const chunk = { role: 'assistant', content };
+      if (i === 0 && message.tool_calls) chunk.tool_calls = message.tool_calls;
+      res.write(JSON.stringify({ model: body.model, done: false, message: chunk }) + '\n');
+    });
+    res.end(JSON.stringify({ ...done, message: { role: 'assistant', content: '' } }) + '\n');
+  }
+}
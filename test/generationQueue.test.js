@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { GenerationQueue } from '../src/services/generationQueue.js';
+
+test('queued tasks run in the context they were queued from', async () => {
+  const queue = new GenerationQueue(1);
+  const storage = new AsyncLocalStorage();
+  let release;
+  const first = storage.run('debate-1', () => queue.run(() => new Promise(resolve => { release = resolve; })));
+
+  const positions = [];
+  const second = storage.run('debate-2', () => queue.run(async () => storage.getStore(), {
+    onPosition: () => positions.push(storage.getStore()),
+  }));
+
+  await new Promise(resolve => setImmediate(resolve));
+  release();
+  await first;
+  assert.equal(await second, 'debate-2');
+  assert.deepEqual(positions, ['debate-2']);
+});
@@ -0,0 +1,57 @@
+import './setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fetchWithRetry } from '../src/services/http.js';
+
+let server;
+let baseUrl;
+const hits = {};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+
+    if (req.url === '/stall') {
+      // Headers arrive, the body never finishes
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('partial');
+      return;
+    }
+    if (req.url === '/busy' && hits[req.url] === 1) {
+      res.writeHead(429, { 'Retry-After': '86400' });
+      res.end();
+      return;
+    }
+    if (req.url === '/large') {
+      res.end('x'.repeat(5000));
+      return;
+    }
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+test('a body that stalls after the headers times out', async () => {
+  await assert.rejects(fetchWithRetry(`${baseUrl}/stall`, {}, { timeoutMs: 100 }), /timed out after 100ms/);
+  assert.equal(hits['/stall'], 3, 'and is retried like any other timeout');
+});
+
+test('Retry-After waits are capped', async () => {
+  const started = Date.now();
+  const res = await fetchWithRetry(`${baseUrl}/busy`, {}, { maxRetryDelayMs: 50 });
+
+  assert.equal(await res.text(), 'ok');
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('bodies are cut off at maxBytes', async () => {
+  const res = await fetchWithRetry(`${baseUrl}/large`, {}, { maxBytes: 1000 });
+  assert.equal((await res.text()).length, 1000);
+});
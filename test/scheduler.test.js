@@ -0,0 +1,189 @@
+import { ollama } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBot } from '../src/bot.js';
+import { FakeClient, FakeUser } from './fakes/fakeDiscord.js';
+
+const MINUTE_MS = 60 * 1000;
+
+let client;
+let bot;
+let alice;
+
+beforeEach(() => {
+  ollama.reset();
+  client = new FakeClient();
+  bot = createBot(client);
+  alice = new FakeUser('alice');
+});
+
+async function startDebate(options = {}) {
+  const message = client.createChannel().post(alice, 'debate me pineapple belongs on pizza');
+  await bot.startDebate(message, 'pineapple belongs on pizza', options);
+  const thread = message.thread;
+  return { thread, debate: bot.debateManager.getDebate(thread.id) };
+}
+
+// Run a scheduler pass as if `minutes` had passed since the debate's last activity
+const idleFor = (debate, minutes) => bot.scheduler.tick(debate.lastActivity + minutes * MINUTE_MS);
+
+test('an idle opponent is reminded once, then forfeits and the thread is archived', async () => {
+  const { thread, debate } = await startDebate();
+  const posted = thread.messageLog.length;
+
+  await idleFor(debate, 29);
+  assert.equal(thread.messageLog.length, posted, 'nothing happens before the reminder is due');
+
+  await idleFor(debate, 30);
+  await idleFor(debate, 31);
+  const reminders = thread.messageLog.filter(m => m.content.startsWith('⏰'));
+  assert.equal(reminders.length, 1);
+  assert.match(reminders[0].content, new RegExp(`^⏰ <@${alice.id}> it's your turn! Reply within 1h 30m or the debate is forfeited\\.`));
+
+  await idleFor(debate, 120);
+  assert.equal(debate.status, 'ended');
+  assert.equal(debate.endReason, 'abandoned');
+  assert.equal(debate.winner, 'bot');
+  assert.equal(debate.participants[alice.id].eliminatedReason, 'abandoned');
+  assert.match(thread.messageLog.at(-1).content, /^💤 \*\*DEBATE FORFEITED\*\* 💤\n\nNo reply from alice in 2h 0m\./);
+  assert.ok(thread.archived);
+
+  const profile = bot.profileManager.getProfile(debate.guildId, alice.id);
+  assert.equal(profile.history[0].outcome, 'abandonment');
+  assert.deepEqual(bot.transcripts.get(debate.id).outcome.winner, 'bot');
+});
+
+test('replying restarts the idle clock and re-arms the reminder', async () => {
+  const { thread, debate } = await startDebate();
+
+  await idleFor(debate, 30);
+  await bot.handleMessage(thread.post(alice, 'Sweet and savoury is a classic combination for a reason.'));
+  await idleFor(debate, 20);
+  assert.equal(thread.messageLog.filter(m => m.content.startsWith('⏰')).length, 1);
+
+  await idleFor(debate, 30);
+  assert.equal(thread.messageLog.filter(m => m.content.startsWith('⏰')).length, 2);
+  assert.equal(debate.status, 'active');
+});
+
+test('idle times come from the guild settings', async () => {
+  bot.guildSettings.set('guild-1', 'idleReminderMinutes', 5);
+  bot.guildSettings.set('guild-1', 'idleForfeitMinutes', 10);
+  const { thread, debate } = await startDebate();
+
+  await idleFor(debate, 5);
+  assert.match(thread.messageLog.at(-1).content, /^⏰/);
+
+  await idleFor(debate, 10);
+  assert.equal(debate.endReason, 'abandoned');
+});
+
+test('timed formats lose turns to the clock until the format runs out', async () => {
+  const { thread, debate } = await startDebate({ format: 'rapid-fire' });
+  assert.match(thread.messageLog.at(-1).content, /Rapid-fire\*\* \(8 turns, 90s per turn, max 200 chars from me\)/);
+
+  await bot.scheduler.tick(debate.lastActivity + 89 * 1000);
+  assert.equal(debate.phaseTurn, 0);
+
+  await bot.scheduler.tick(debate.lastActivity + 90 * 1000);
+  assert.equal(debate.phaseTurn, 1);
+  assert.match(thread.messageLog.at(-1).content, /^⏱️ \*\*Time's up!\*\* No reply within 90s/);
+
+  for (let turn = 2; turn <= 8; turn++) {
+    await bot.scheduler.tick(debate.lastActivity + 90 * 1000);
+  }
+  assert.equal(debate.status, 'ended');
+  assert.equal(debate.endReason, 'format_complete');
+  assert.ok(thread.messageLog.some(m => m.content.includes('DEBATE CONCLUDED')));
+});
+
+test('debates still generating a turn, and exhibitions, are left alone', async () => {
+  const { thread, debate } = await startDebate();
+  const posted = thread.messageLog.length;
+
+  bot.debateManager.pendingTurns.add(debate.threadId);
+  await idleFor(debate, 600);
+  assert.equal(debate.status, 'active');
+  assert.equal(thread.messageLog.length, posted);
+
+  bot.debateManager.pendingTurns.delete(debate.threadId);
+  debate.mode = 'exhibition';
+  await idleFor(debate, 600);
+  assert.equal(debate.status, 'active');
+});
+
+test('a debate whose thread is gone still forfeits', async () => {
+  const { thread, debate } = await startDebate();
+  client.channelsById.delete(thread.id);
+
+  await idleFor(debate, 120);
+  assert.equal(debate.endReason, 'abandoned');
+});
+
+test('ended debates are evicted after the retention period, keeping their transcripts', async () => {
+  const { debate: ended } = await startDebate();
+  await idleFor(ended, 120);
+
+  await bot.scheduler.tick(ended.endedAt + 23 * 60 * MINUTE_MS);
+  assert.ok(bot.debateManager.getDebate(ended.threadId));
+
+  await bot.scheduler.tick(ended.endedAt + 24 * 60 * MINUTE_MS + 1);
+  assert.equal(bot.debateManager.getDebate(ended.threadId), undefined);
+  assert.ok(bot.transcripts.get(ended.id), 'the transcript outlives the debate');
+
+  const { debate: active } = await startDebate();
+  bot.debateManager.evictEnded(Date.now() + MINUTE_MS);
+  assert.ok(bot.debateManager.getDebate(active.threadId), 'active debates are kept');
+});
+
+test('a debate whose opening failed is ended without a result and never forfeited', async () => {
+  bot.debateManager.generateResponse = async () => { throw new Error('model unavailable'); };
+  const { debate } = await startDebate();
+
+  assert.equal(debate.status, 'ended');
+  assert.equal(debate.endReason, 'failed_to_start');
+  assert.equal(bot.transcripts.get(debate.id).outcome.reason, 'failed_to_start');
+  assert.equal(bot.profileManager.getProfile(debate.guildId, alice.id)?.history.length ?? 0, 0);
+
+  // Even if one is left active, the bot has to have opened before the opponent can forfeit
+  debate.status = 'active';
+  await idleFor(debate, 600);
+  assert.equal(debate.endReason, 'failed_to_start');
+});
+
+// A new bot over the same stores stands in for a restart
+async function restart() {
+  const { debateManager, transcripts, profileManager, guildSettings } = bot;
+  bot = createBot(client, { debateManager, transcripts, profileManager, guildSettings });
+  await bot.resumeConclusions();
+}
+
+test('debates a restart caught after everyone was eliminated are concluded on boot', async () => {
+  const { thread, debate: won } = await startDebate();
+  bot.debateManager.eliminateParticipant(won, alice.id, 'conceded');
+  const bob = new FakeUser('bob');
+  const { debate: gone } = await startDebate({ opponent: bob });
+  bot.debateManager.eliminateParticipant(gone, bob.id, 'fallacies_detected');
+  client.channelsById.delete(gone.threadId);
+
+  await restart();
+
+  assert.deepEqual([won.status, won.endReason, won.winner], ['ended', 'conceded', 'bot']);
+  assert.ok(thread.messageLog.at(-1).content.includes('DEBATE CONCLUDED'));
+  assert.deepEqual([gone.status, gone.endReason], ['ended', 'fallacies_detected'], 'a thread that is gone still ends');
+  assert.equal(bot.transcripts.get(gone.id).outcome.reason, 'fallacies_detected');
+  assert.equal(bot.debateManager.getActiveDebates().length, 0);
+});
+
+test('debates a restart caught after the bot claimed victory are judged on boot', async () => {
+  const { thread, debate } = await startDebate();
+  debate.victoryClaimed = true;
+
+  await restart();
+
+  assert.deepEqual([debate.status, debate.endReason], ['ended', 'victory_declared']);
+  assert.ok(thread.messageLog.at(-1).content.includes('DEBATE CONCLUDED'));
+  const reservation = bot.debateManager.reserveDebate(debate.guildId, alice.id);
+  assert.ok(reservation.release, 'the slot is free again');
+  reservation.release();
+});
@@ -0,0 +1,74 @@
+import { ollama } from './setup.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Status } from 'discord.js';
+import { createBot } from '../src/bot.js';
+import { createHandler } from '../src/web/server.js';
+import { FakeClient, FakeUser } from './fakes/fakeDiscord.js';
+
+let client;
+let bot;
+let server;
+let baseUrl;
+
+before(async () => {
+  client = new FakeClient();
+  bot = createBot(client);
+  server = http.createServer(createHandler({ client, debateManager: bot.debateManager }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  ollama.reset();
+  client.ws.status = Status.Ready;
+});
+
+test('/healthz is ok when Discord and the LLM server are reachable', async () => {
+  const res = await fetch(`${baseUrl}/healthz`);
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.checks.discord.ok, true);
+  assert.equal(body.checks.llm.ok, true);
+});
+
+test('/healthz fails while the gateway is disconnected', async () => {
+  client.ws.status = Status.Reconnecting;
+
+  const res = await fetch(`${baseUrl}/healthz`);
+
+  assert.equal(res.status, 503);
+  assert.equal((await res.json()).checks.discord.ok, false);
+});
+
+test('/metrics reports debates, generation latency and tool calls', async () => {
+  ollama.setSearchResults([{ title: 'Page', url: 'https://example.com/page', content: 'Something relevant.' }]);
+  ollama.queueReplies(
+    'An opening argument.',
+    { tool_calls: [{ function: { name: 'web_search', arguments: { query: 'metrics test' } } }] },
+    'A researched reply.',
+  );
+  const message = client.createChannel().post(new FakeUser('alice'), 'debate me metrics are pointless');
+  await bot.handleMessage(message);
+  await bot.handleMessage(message.thread.post(message.author, 'Metrics let you see problems before users do.'));
+
+  const res = await fetch(`${baseUrl}/metrics`);
+  const text = await res.text();
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain/);
+  assert.match(text, /^jb_debate_active_debates 1$/m);
+  assert.match(text, /^jb_debate_generation_queue_depth 0$/m);
+  assert.match(text, /^jb_debate_generation_duration_seconds_count\{type="complete"\} [1-9]/m);
+  assert.match(text, /^jb_debate_generation_duration_seconds_count\{type="fallacy"\} [1-9]/m);
+  assert.match(text, /^jb_debate_tool_calls_total\{tool="web_search"\} 1$/m);
+});
+
+test('unknown paths are not found', async () => {
+  assert.equal((await fetch(`${baseUrl}/nope`)).status, 404);
+});
@@ -0,0 +1,31 @@
+// Preloaded with --import (see the test script): starts the fake Ollama server and points the bot
+// at it before any module under src/ reads its configuration. Test files import `ollama` from here.
+import { after } from 'node:test';
+import { FakeOllama } from './fakes/fakeOllama.js';
+
+export const ollama = await new FakeOllama().start();
+
+Object.assign(process.env, {
+  OLLAMA_HOST: ollama.url,
+  OLLAMA_MODEL: 'test-model',
+  LLM_PROVIDER: 'ollama',
+  LLM_FALLBACK_PROVIDER: '',
+  SEARCH_BACKEND: 'searxng',
+  SEARXNG_URL: ollama.url,
+  WIKIPEDIA_ENABLED: 'false',
+  LOCAL_CORPUS_DIR: '',
+  STORAGE_BACKEND: 'memory',
+  WEB_CACHE_PERSIST: 'false',
+  MODERATION_BLOCKLIST: '',
+  AUDIENCE_VOTE_SECONDS: '0',
+  EXHIBITION_VOTE_SECONDS: '0',
+  STREAM_EDIT_INTERVAL_MS: '0',
+});
+
+// The bot logs every step to stdout; keep test output readable unless DEBUG is set
+if (!process.env.DEBUG) console.log = () => {};
+
+after(async () => {
+  ollama.server.closeAllConnections();
+  await ollama.stop();
+});
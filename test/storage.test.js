@@ -0,0 +1,81 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { JsonFileStore, JsonDirStore } from '../src/services/storage.js';
+import { TtlCache } from '../src/services/ttlCache.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debate-store-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Count full rewrites of a store's file
+function countFlushes(store) {
+  let flushes = 0;
+  const flush = store.flush.bind(store);
+  store.flush = () => {
+    flushes++;
+    flush();
+  };
+  return () => flushes;
+}
+
+test('changes are batched into one write, and flush() writes them out', () => {
+  const file = path.join(dir, 'batched.json');
+  const store = new JsonFileStore(file, { flushDelayMs: 60000 });
+  const flushes = countFlushes(store);
+
+  store.set('a', 1);
+  store.set('b', 2);
+  store.delete('a');
+  assert.equal(flushes(), 0);
+  assert.ok(!fs.existsSync(file));
+
+  store.flush();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { b: 2 });
+  assert.deepEqual(new JsonFileStore(file).entries(), [['b', 2]]);
+});
+
+test('cache eviction deletes everything due in a single write', () => {
+  const store = new JsonFileStore(path.join(dir, 'cache.json'), { flushDelayMs: 0 });
+  const cache = new TtlCache({ store, maxEntries: 3 });
+  for (let i = 0; i < 3; i++) cache.set(`old-${i}`, i, -1);
+
+  const flushes = countFlushes(store);
+  cache.set('fresh', 'page');
+
+  assert.deepEqual(store.entries().map(([key]) => key), ['fresh']);
+  assert.equal(flushes(), 2, 'one write for the new entry, one for the evictions');
+});
+
+test('directory stores rewrite only the records that changed', () => {
+  const storeDir = path.join(dir, 'transcripts');
+  const store = new JsonDirStore(storeDir, { flushDelayMs: 60000 });
+  store.set('a', { turns: [1] });
+  store.set('b', { turns: [] });
+  store.flush();
+
+  const untouched = path.join(storeDir, 'b.json');
+  fs.writeFileSync(untouched, JSON.stringify({ turns: ['on disk'] }));
+  store.set('a', { turns: [1, 2] });
+  store.flush();
+  assert.deepEqual(JSON.parse(fs.readFileSync(untouched, 'utf8')), { turns: ['on disk'] });
+
+  store.deleteMany(['b']);
+  store.flush();
+  assert.deepEqual(fs.readdirSync(storeDir), ['a.json']);
+  assert.deepEqual(new JsonDirStore(storeDir).entries(), [['a', { turns: [1, 2] }]]);
+});
+
+test('a single-file store is split into a directory store of the same name', () => {
+  const legacy = path.join(dir, 'legacy.json');
+  fs.writeFileSync(legacy, JSON.stringify({ 'debate/1': { turns: [] }, 'debate-2': { turns: [1] } }));
+
+  const store = new JsonDirStore(path.join(dir, 'legacy'));
+  assert.deepEqual(store.get('debate/1'), { turns: [] });
+  assert.ok(!fs.existsSync(legacy));
+  const reloaded = new JsonDirStore(path.join(dir, 'legacy'));
+  assert.deepEqual(reloaded.get('debate/1'), { turns: [] }, 'keys are safe to use as file names');
+  assert.deepEqual(reloaded.get('debate-2'), { turns: [1] });
+});
@@ -0,0 +1,100 @@
+import { ollama } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDebateResponse } from '../src/services/ollama.js';
+import { ToolBudget } from '../src/services/toolBudget.js';
+
+const FALLBACK = "I'm ready to debate this topic. Present your argument and let's see if it holds up to scrutiny.";
+
+const searchCall = (query) => ({ function: { name: 'web_search', arguments: { query } } });
+
+const debate = (budget = new ToolBudget()) =>
+  generateDebateResponse([{ role: 'user', content: 'Remote work makes teams less productive.' }], 'remote work', { budget });
+
+beforeEach(() => ollama.reset());
+
+test('an empty response is retried', async () => {
+  ollama.queueReplies('', '', 'Third time lucky: remote work is fine.');
+
+  assert.equal(await debate(), 'Third time lucky: remote work is fine.');
+  assert.equal(ollama.chatRequests.length, 3);
+});
+
+test('the fallback reply is used when every retry comes back empty', async () => {
+  ollama.queueReplies('', '', '');
+
+  assert.equal(await debate(), FALLBACK);
+  assert.equal(ollama.chatRequests.length, 3);
+});
+
+test('sources collected before an empty response survive the retry', async () => {
+  ollama.setSearchResults([{ title: 'Study', url: 'https://example.com/study', content: 'Output rose 13% when staff worked from home.' }]);
+  ollama.setStructured('citations', {
+    text: 'Output rose 13% at home [1].',
+    citations: [{ marker: 1, evidence: 'Output rose 13% when staff worked from home.' }],
+  });
+  ollama.queueReplies({ tool_calls: [searchCall('remote work productivity')] }, '', 'Output rose 13% at home.');
+
+  const reply = await debate();
+
+  assert.equal(reply, 'Output rose 13% at home [1].\n\n[1] [Study](https://example.com/study)');
+});
+
+test('identical tool calls run once and pages seen twice are cited once', async () => {
+  ollama.setSearchResults([
+    { title: 'Page A', url: 'https://example.com/a', content: 'Commutes cost workers 27 minutes each way.' },
+    { title: 'Page A', url: 'https://example.com/a', content: 'Offices in the survey were half empty.' },
+    { title: 'Page B', url: 'https://example.com/b', content: 'Teams reported fewer meetings.' },
+  ]);
+  ollama.setStructured('citations', {
+    text: 'Commutes eat an hour a day [1] and offices sit half empty [1]; meetings drop too [2].',
+    citations: [
+      { marker: 1, evidence: 'Offices in the survey were half empty.' },
+      { marker: 2, evidence: 'Teams reported fewer meetings.' },
+    ],
+  });
+  ollama.queueReplies({ tool_calls: [searchCall('remote work'), searchCall('remote work')] }, 'Remote work wins.');
+
+  const budget = new ToolBudget();
+  const reply = await debate(budget);
+
+  assert.deepEqual(ollama.searchRequests, ['remote work'], 'the duplicate call is served from the cache');
+  assert.equal(budget.usage.toolCalls, 1);
+
+  // Both snippets of page A are offered to the citation check as one source
+  const verify = ollama.requests.find(r => r.format?.properties?.citations);
+  const sourceList = verify.messages.at(-1).content.split('SOURCES:\n')[1];
+  assert.equal(sourceList.match(/^\[\d+\]/gm).length, 2);
+
+  assert.equal(reply, [
+    'Commutes eat an hour a day [1] and offices sit half empty [1]; meetings drop too [2].',
+    '',
+    '[1] [Page A](https://example.com/a)',
+    '[2] [Page B](https://example.com/b)',
+  ].join('\n'));
+});
+
+test('failed tool calls are not cached, so a later reply can retry them', async () => {
+  const budget = new ToolBudget();
+  ollama.setSearchResults(null);
+  ollama.queueReplies({ tool_calls: [searchCall('hybrid work')] }, 'Search is down.');
+  await debate(budget);
+
+  ollama.setSearchResults([{ title: 'Study', url: 'https://example.com/hybrid', content: 'Hybrid teams shipped 9% more.' }]);
+  ollama.queueReplies({ tool_calls: [searchCall('hybrid work')] }, 'Hybrid teams ship more.');
+  await debate(budget);
+
+  assert.deepEqual(ollama.searchRequests, ['hybrid work', 'hybrid work']);
+});
+
+test('time spent running tools counts against the whole debate', async () => {
+  const usage = { toolCalls: 0, tokens: 0, toolMs: 0 };
+  const budget = new ToolBudget({ usage, maxMs: 1000 });
+  assert.equal(budget.exhausted(), null);
+
+  budget.recordTime(1000);
+  ollama.queueReplies('No research needed.');
+  await debate(new ToolBudget({ usage, maxMs: 1000 }));
+
+  assert.equal(ollama.chatRequests[0].tools, undefined, 'no tools once the debate has used its time');
+});
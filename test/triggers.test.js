@@ -0,0 +1,84 @@
+import { ollama } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBot } from '../src/bot.js';
+import { FakeClient, FakeUser } from './fakes/fakeDiscord.js';
+
+let client;
+let bot;
+let channel;
+let alice;
+
+beforeEach(() => {
+  ollama.reset();
+  client = new FakeClient();
+  bot = createBot(client);
+  channel = client.createChannel();
+  alice = new FakeUser('alice');
+});
+
+async function say(content) {
+  const message = channel.post(alice, content);
+  await bot.handleMessage(message);
+  return message;
+}
+
+test('"debate me" starts a debate in a new thread with a streamed opening', async () => {
+  ollama.queueReplies('Pineapple on pizza is a crime against Naples.');
+
+  const message = await say('debate me pineapple on pizza');
+
+  assert.ok(message.thread, 'a thread is created on the trigger message');
+  assert.equal(message.thread.name, 'Debate: pineapple on pizza');
+
+  const debate = bot.debateManager.getDebate(message.thread.id);
+  assert.equal(debate.subject, 'pineapple on pizza');
+  assert.equal(debate.participantId, alice.id);
+  assert.equal(debate.status, 'active');
+
+  const [intro, opening] = message.thread.messageLog;
+  assert.match(intro.content, /DEBATE INITIATED/);
+  assert.deepEqual(intro.buttonIds, ['debate_join']);
+  assert.equal(opening.content, 'Pineapple on pizza is a crime against Naples.');
+  assert.deepEqual(opening.buttonIds, ['debate_factcheck']);
+});
+
+test('trigger phrases ignore case and a missing apostrophe', async () => {
+  const message = await say('LETS FIGHT ABOUT tabs versus spaces');
+
+  assert.equal(bot.debateManager.getDebate(message.thread.id).subject, 'tabs versus spaces');
+});
+
+test('mentioning the bot starts a debate on the rest of the message', async () => {
+  const message = await say(`<@${client.user.id}> cats are better than dogs`);
+
+  assert.equal(bot.debateManager.getDebate(message.thread.id).subject, 'cats are better than dogs');
+});
+
+test('ordinary messages and bot messages are ignored', async () => {
+  const ordinary = await say('anyone up for lunch?');
+  const fromBot = channel.post(client.user, 'debate me on anything');
+  await bot.handleMessage(fromBot);
+
+  assert.equal(ordinary.thread, null);
+  assert.equal(fromBot.thread, null);
+  assert.equal(ollama.requests.length, 0);
+});
+
+test('guild settings control the trigger phrases and allowed channels', async () => {
+  bot.guildSettings.set(channel.guildId, 'triggers', ['hot take:']);
+  assert.equal((await say('debate me vim is best')).thread, null);
+  assert.ok((await say('hot take: vim is best')).thread);
+
+  bot.guildSettings.set(channel.guildId, 'allowedChannels', ['some-other-channel']);
+  assert.equal((await say('hot take: emacs is best')).thread, null);
+});
+
+test('a blocklisted topic is refused before any thread is created', async () => {
+  bot.guildSettings.set(channel.guildId, 'blocklist', ['forbidden']);
+
+  const message = await say('debate me the forbidden topic');
+
+  assert.equal(message.thread, null);
+  assert.match(message.replies[0].content, /^🛡️/);
+});
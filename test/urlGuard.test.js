@@ -0,0 +1,23 @@
+import { ollama } from './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedAddress } from '../src/services/search/urlGuard.js';
+import { executeToolCall } from '../src/services/webSearch.js';
+
+const fetchCall = (url) => ({ function: { name: 'web_fetch', arguments: { url } } });
+
+test('loopback, private, link-local and metadata addresses are blocked', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.ok(isBlockedAddress(address), address);
+  }
+  for (const address of ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946']) {
+    assert.ok(!isBlockedAddress(address), address);
+  }
+});
+
+test('web_fetch refuses non-http URLs and hosts that resolve to the bot itself', async () => {
+  for (const url of [`${ollama.url}/metrics`, 'http://localhost:3000/metrics', 'http://[::1]/', 'file:///etc/passwd']) {
+    const result = await executeToolCall(fetchCall(url));
+    assert.match(result.error, /^web_fetch failed: (Refusing to fetch|Only http and https)/, url);
+  }
+});